@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Genome assemblies, for assembly-aware coordinates
+ *
+ * Coordinates come from MyGene.info and NCBI E-utilities, on their default
+ * assemblies unless another is requested, e.g.:
+ *
+ *   fetchOrthologs(genes, sourceOrg, targetOrgs, {
+ *     assembly: {'homo sapiens': 'GRCh37'}
+ *   })
+ *
+ * Each assembly notes its RefSeq assembly accession and range of versions
+ * (i.e. patches), to match NCBI's `locationhist` entries, and the MyGene.info
+ * field with positions on it, if any.  The first assembly for each organism
+ * is the default.
+ *
+ * Only some model organisms are listed.  Others get coordinates on the
+ * current assembly of each backend, records for them may have a null
+ * `assembly`, and the `assembly` option cannot be given for them.
+ */
+
+import {InvalidInputError} from './error';
+import {resolveOrganism} from './organism';
+
+export const assembliesByOrg = {
+  'homo sapiens': [
+    {
+      name: 'GRCh38', accession: 'GCF_000001405', versions: [26, Infinity],
+      myGeneField: 'genomic_pos'
+    },
+    {
+      name: 'GRCh37', accession: 'GCF_000001405', versions: [13, 25],
+      myGeneField: 'genomic_pos_hg19'
+    }
+  ],
+  'mus musculus': [
+    {
+      name: 'GRCm39', accession: 'GCF_000001635', versions: [27, Infinity],
+      myGeneField: 'genomic_pos'
+    },
+    // MyGene.info lacks GRCm38 positions, so these come from NCBI
+    {name: 'GRCm38', accession: 'GCF_000001635', versions: [20, 26]}
+  ],
+  'rattus norvegicus': [
+    {
+      name: 'mRatBN7.2', accession: 'GCF_015227675', versions: [2, Infinity],
+      myGeneField: 'genomic_pos'
+    }
+  ],
+  'danio rerio': [
+    {
+      name: 'GRCz11', accession: 'GCF_000002035', versions: [6, Infinity],
+      myGeneField: 'genomic_pos'
+    }
+  ],
+  'drosophila melanogaster': [
+    {
+      name: 'BDGP6', accession: 'GCF_000001215', versions: [4, Infinity],
+      myGeneField: 'genomic_pos'
+    }
+  ],
+  'caenorhabditis elegans': [
+    {
+      name: 'WBcel235', accession: 'GCF_000002985', versions: [6, Infinity],
+      myGeneField: 'genomic_pos'
+    }
+  ],
+  'saccharomyces cerevisiae': [
+    {
+      name: 'R64', accession: 'GCF_000146045', versions: [2, Infinity],
+      myGeneField: 'genomic_pos'
+    }
+  ]
+}
+
+/**
+ * Get the assembly to use for an organism, or null if none is known
+ *
+ * @param {String} org Organism, e.g. "homo sapiens"
+ * @param {String} name Requested assembly, e.g. "GRCh37"; default if absent
+ */
+export function getAssembly(org, name) {
+  const assemblies = assembliesByOrg[org]
+
+  if (!name) return assemblies ? assemblies[0] : null
+
+  if (!assemblies) {
+    throw new InvalidInputError(
+      `Assemblies for organism "${org}" are not known, so "${name}" ` +
+      'cannot be used'
+    )
+  }
+
+  const assembly = assemblies.find(assembly => {
+    return assembly.name.toLowerCase() === name.toLowerCase()
+  })
+  if (!assembly) {
+    const names = assemblies.map(assembly => `"${assembly.name}"`).join(', ')
+    throw new InvalidInputError(
+      `Unknown assembly "${name}" for organism "${org}".  ` +
+      `Use one of: ${names}.`
+    )
+  }
+
+  return assembly
+}
+
+/** Determine if an assembly is the default for its organism */
+export function isDefaultAssembly(assembly) {
+  return Object.values(assembliesByOrg).some(assemblies => {
+    return assemblies[0] === assembly
+  })
+}
+
+/**
+ * Determine if a RefSeq assembly accession, e.g. "GCF_000001405.25", is of
+ * an assembly, e.g. GRCh37
+ */
+export function hasAssemblyAccession(assembly, accessionVersion) {
+  const [accession, version] = (accessionVersion || '').split('.')
+  const [minVersion, maxVersion] = assembly.versions
+  return (
+    accession === assembly.accession &&
+    version >= minVersion && version <= maxVersion
+  )
+}
+
+/**
+ * Resolve the `assembly` option, e.g. {human: 'GRCh37'}, to assembly names
+ * keyed by organism, e.g. {'homo sapiens': 'GRCh37'}
+ */
+export function resolveAssemblyOption(assemblyOption={}) {
+  const names = {}
+  Object.entries(assemblyOption).forEach(([org, name]) => {
+    org = resolveOrganism(org)
+    names[org] = getAssembly(org, name).name
+  })
+  return names
+}
@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Helpers to split large requests into batches
+ *
+ * Upstream services limit how many genes one request can have, e.g. 1000
+ * per MyGene.info query, and how many requests a client can make at once.
+ */
+
+/** Split items into lists of at most `size` items */
+export function chunk(items, size) {
+  const chunks = []
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size))
+  }
+  return chunks
+}
+
+/**
+ * Map items with an async function, calling it for at most `limit` items
+ * at once.  Like `Promise.all`, results are in the order of `items`, and
+ * the first error is thrown.
+ */
+export async function mapConcurrently(items, fn, limit=Infinity) {
+  const results = new Array(items.length)
+  let next = 0
+
+  async function work() {
+    while (next < items.length) {
+      const i = next++
+      results[i] = await fn(items[i], i)
+    }
+  }
+
+  const workerCount = Math.min(limit, items.length)
+  await Promise.all(Array.from({length: workerCount}, work))
+  return results
+}
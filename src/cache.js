@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Response caches for upstream API requests
+ *
+ * A cache is any object with these async methods:
+ *
+ *   get(key) -> value, or undefined if absent or expired
+ *   set(key, value, ttl) -> stores value for `ttl` milliseconds
+ *   delete(key)
+ *   keys() -> keys of all unexpired entries
+ *   clear()
+ *
+ * An in-memory cache is used by default.  An IndexedDB cache is available
+ * for browsers, and a filesystem cache for Node (see file-cache.js).
+ */
+
+import {fetchResponse, parseJson} from './request';
+
+const day = 24 * 60 * 60 * 1000;
+
+// How long to keep responses from each service, in milliseconds
+export const defaultCacheTtls = {
+  orthodb: 7 * day,
+  mygene: day,
+  eutils: day,
+  ensembl: 7 * day,
+  panther: 7 * day
+}
+
+/** Determine if a cache entry, as stored by an adapter, has expired */
+function isExpired(entry) {
+  return entry.expires !== null && entry.expires <= Date.now()
+}
+
+/** Get expiration time for a TTL; `null` or `Infinity` never expires */
+function getExpires(ttl) {
+  return ttl === null || ttl === Infinity ? null : Date.now() + ttl
+}
+
+/**
+ * Copy a value, so callers that change a cached value or a value they cached
+ * do not change the cache.  Values are JSON-like, e.g. parsed responses.
+ */
+function copyValue(value) {
+  if (typeof value === 'undefined') return value
+  if (typeof structuredClone === 'function') return structuredClone(value)
+  return JSON.parse(JSON.stringify(value))
+}
+
+/**
+ * Create a cache that holds entries in memory, in a Map
+ *
+ * Once the cache holds `maxEntries` entries, setting another evicts the
+ * least recently used one, so long-running clients and servers do not grow
+ * without bound.
+ *
+ * @param {Object} options
+ * @param {Number} options.maxEntries Most entries to hold; `Infinity` for no
+ *   limit
+ */
+export function createMemoryCache({maxEntries=1000}={}) {
+  // Maps keep insertion order, so the first key is the least recently used
+  const entries = new Map()
+
+  return {
+    async get(key) {
+      const entry = entries.get(key)
+      if (!entry) return undefined
+      entries.delete(key)
+      if (isExpired(entry)) return undefined
+      entries.set(key, entry)
+      return copyValue(entry.value)
+    },
+
+    async set(key, value, ttl=null) {
+      entries.delete(key)
+      entries.set(key, {value: copyValue(value), expires: getExpires(ttl)})
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value)
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key)
+    },
+
+    async keys() {
+      return [...entries.entries()]
+        .filter(([key, entry]) => !isExpired(entry))
+        .map(([key]) => key)
+    },
+
+    async clear() {
+      entries.clear()
+    }
+  }
+}
+
+/** Wrap an IndexedDB request in a promise */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Create a cache that persists entries in IndexedDB, for browsers
+ *
+ * @param {Object} options
+ * @param {String} options.dbName Name of IndexedDB database
+ * @param {IDBFactory} options.indexedDB IndexedDB implementation to use
+ */
+export function createIndexedDbCache({
+  dbName='homology-cache', indexedDB=globalThis.indexedDB
+}={}) {
+  const storeName = 'responses'
+  let dbPromise
+
+  function getDb() {
+    if (!dbPromise) {
+      const request = indexedDB.open(dbName, 1)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(storeName, {keyPath: 'key'})
+      }
+      dbPromise = promisifyRequest(request)
+    }
+    return dbPromise
+  }
+
+  async function getStore(mode) {
+    const db = await getDb()
+    return db.transaction(storeName, mode).objectStore(storeName)
+  }
+
+  return {
+    async get(key) {
+      const store = await getStore('readonly')
+      const entry = await promisifyRequest(store.get(key))
+      if (!entry) return undefined
+      if (isExpired(entry)) {
+        await this.delete(key)
+        return undefined
+      }
+      return entry.value
+    },
+
+    async set(key, value, ttl=null) {
+      const store = await getStore('readwrite')
+      await promisifyRequest(store.put({key, value, expires: getExpires(ttl)}))
+    },
+
+    async delete(key) {
+      const store = await getStore('readwrite')
+      await promisifyRequest(store.delete(key))
+    },
+
+    async keys() {
+      const store = await getStore('readonly')
+      const entries = await promisifyRequest(store.getAll())
+      return entries.filter(entry => !isExpired(entry)).map(entry => entry.key)
+    },
+
+    async clear() {
+      const store = await getStore('readwrite')
+      await promisifyRequest(store.clear())
+    }
+  }
+}
+
+/**
+ * Omit API keys from a URL, so they are not persisted in cache keys
+ */
+function getCacheKey(url) {
+  return url.replace(/[?&]api_key=[^&]*/, '')
+}
+
+/**
+ * Fetch JSON from a URL, via the configured cache
+ *
+ * Only successful responses are cached.  If `config.cache` is null, every
+ * call fetches afresh.  Requests with a body, e.g. POST queries, are keyed
+ * by URL and body.
+ *
+ * @param {String} url URL to fetch
+ * @param {String} service Name of service, e.g. "orthodb", for TTL lookup
+ * @param {Object} config Configuration, as returned by `getConfig`
+ * @param {Object} init Options for `fetch`, e.g. method and body for POST
+ * @param {Array} allowedStatuses Error statuses whose JSON to return, e.g.
+ *   [400] for Ensembl's errors on unknown symbols
+ */
+export async function fetchCachedJson(
+  url, service, config, init, allowedStatuses
+) {
+  const cache = config.cache
+  const body = init?.body
+  const key = getCacheKey(url) + (body ? ' ' + body : '')
+
+  if (cache) {
+    const cached = await cache.get(key)
+    if (typeof cached !== 'undefined') return cached
+  }
+
+  const response =
+    await fetchResponse(url, service, config, init, allowedStatuses)
+  const json = await parseJson(response, service)
+
+  if (cache && response.ok !== false) {
+    await cache.set(key, json, config.cacheTtls[service])
+  }
+
+  return json
+}
@@ -0,0 +1,25 @@
+/**
+ * @fileoverview Entry point of the `homology` command; see cli.js
+ */
+
+import {runCli} from './cli';
+
+// Requests use the global `fetch`, and arguments `util.parseArgs`, which
+// need Node 18.3 or later.  Without them, every request would fail unclearly.
+if (typeof globalThis.fetch !== 'function') {
+  process.stderr.write(
+    `homology: Node 18.3 or later is needed, not ${process.version}\n`
+  )
+  process.exitCode = 1
+} else {
+  runCli(process.argv.slice(2), {
+    stdin: process.stdin,
+    stdout: process.stdout,
+    stderr: process.stderr
+  }).then(status => {
+    process.exitCode = status
+  }).catch(error => {
+    process.stderr.write(`homology: ${error.message}\n`)
+    process.exitCode = 1
+  })
+}
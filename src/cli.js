@@ -0,0 +1,345 @@
+/**
+ * @fileoverview Command-line interface, for pipelines
+ *
+ * Usage:
+ *
+ *   homology orthologs --from "homo sapiens" --to "mus musculus" MTOR BRCA1
+ *
+ * Genes can also be read from a file, or stdin, one or more per line.  For
+ * offline use, `homology index` builds an index of OrthoDB files, which
+ * `--api local` then queries; see local.js.  `homology proxy` serves a
+ * CORS proxy for OrthoDB; see proxy.js.
+ * Output is JSON (default), TSV, CSV, BED, BEDPE, GFF3 or OrthoXML.  See
+ * `usage` below for all options, and export.js for formats.
+ *
+ * This runs in Node, so is built separately from the browser bundle; see
+ * cli-main.js and webpack.config.js.
+ */
+
+import {promises as fs} from 'fs';
+import {parseArgs} from 'util';
+
+import {createHomologyClient} from './homology';
+import {buildLocalIndex, createLocalIndex} from './local-index';
+import {createProxyServer} from './proxy';
+import {toTsv, toCsv, toBed, toBedpe, toGff3} from './export';
+import {toOrthoXML} from './orthoxml';
+
+export const usage = `Usage: homology orthologs [options] [GENE ...]
+       homology index [index options]
+       homology proxy [proxy options]
+
+Fetch orthologs of genes in a source organism, in target organisms.
+
+Options:
+  --from ORG          Source organism, e.g. "homo sapiens", "human" or 9606
+  --to ORG            Target organism; repeat or comma-separate for several
+  --api API           Backend: orthodb (default), oma, ensembl, ncbi,
+                      panther, consensus, or local.  Comma-separate to merge
+                      several.
+  --only TYPE         Keep only targets with this relationship, e.g.
+                      one-to-one.  Comma-separate for several.
+  --assembly ORG=ASM  Genome assembly for an organism, e.g.
+                      "homo sapiens=GRCh37".  Repeat for several.
+  --genes-file FILE   Read genes from FILE, or stdin if FILE is "-"
+  --format FORMAT     Output format: json (default), tsv, csv, bed, bedpe,
+                      gff3, or orthoxml
+  --org ORG           Organism to output genes of, for bed and gff3, as
+                      these describe one genome.  First --to, by default.
+  --output FILE       Write output to FILE, rather than stdout
+  --local-index DIR   Index for --api local, as built by \`homology index\`
+  --help              Show this help
+
+Index options, to build an index of OrthoDB files for offline use:
+  --species FILE      OrthoDB species file, e.g. odb11v0_species.tab.gz
+  --og2genes FILE     OrthoDB orthogroup-to-gene file
+  --org ORG           Organism to index, by name or taxid; repeat for several
+  --org ORG           Organism to index; repeat for several
+  --output DIR        Directory to write the index to
+
+Proxy options, to serve OrthoDB with CORS headers, for browsers:
+  --port PORT         Port to listen on; 5000 by default
+  --allow-origin URL  Origin allowed by CORS; repeat for several.  All, if
+                      absent.
+  --sparql-upstream URL  OrthoDB SPARQL endpoint to proxy
+  --rest-upstream URL    OrthoDB REST API to proxy
+  --cache-size N      Most responses to cache in memory; 1000 by default
+
+Genes are symbols or stable IDs, e.g. MTOR or ENSG00000198793.  If none are
+given as arguments or in a file, they are read from stdin.  Genes that fail,
+e.g. as not found, are reported on stderr, and the exit status is 1.
+`
+
+// Each is called with orthologs, genes as queried, and {org}
+const formatters = {
+  json: orthologs => JSON.stringify(orthologs, null, 2) + '\n',
+  tsv: toTsv,
+  csv: toCsv,
+  bed: (orthologs, genes, {org}) => toBed(orthologs, {org}),
+  bedpe: toBedpe,
+  gff3: (orthologs, genes, {org}) => toGff3(orthologs, {org}),
+  orthoxml: toOrthoXML
+}
+
+/** Error in command-line arguments, shown with usage */
+class UsageError extends Error {}
+
+/** Read all of a readable stream, e.g. stdin, as text */
+async function readStream(stream) {
+  let text = ''
+  stream.setEncoding('utf8')
+  for await (const chunk of stream) text += chunk
+  return text
+}
+
+/**
+ * Parse genes from text, separated by whitespace or commas.  Lines starting
+ * with "#" are comments.
+ */
+export function parseGeneList(text) {
+  return text
+    .split(/\r?\n/)
+    .filter(line => !line.trim().startsWith('#'))
+    .join(' ')
+    .split(/[\s,]+/)
+    .filter(Boolean)
+}
+
+/** Split comma-separated values, e.g. "oma,orthodb" -> ["oma", "orthodb"] */
+function splitList(values) {
+  return values.flatMap(value => value.split(',')).map(v => v.trim())
+}
+
+/** E.g. ["homo sapiens=GRCh37"] -> {"homo sapiens": "GRCh37"} */
+function parseAssemblies(values) {
+  const assembly = {}
+  values.forEach(value => {
+    const [org, name] = value.split('=')
+    if (!org || !name) {
+      throw new UsageError(`Invalid --assembly "${value}"; use ORG=ASSEMBLY`)
+    }
+    assembly[org.trim()] = name.trim()
+  })
+  return assembly
+}
+
+/** Parse command-line arguments, throwing UsageError if invalid */
+function parseCliArgs(argv) {
+  let parsed
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        from: {type: 'string'},
+        to: {type: 'string', multiple: true},
+        api: {type: 'string'},
+        only: {type: 'string'},
+        assembly: {type: 'string', multiple: true},
+        'genes-file': {type: 'string'},
+        format: {type: 'string'},
+        output: {type: 'string'},
+        'local-index': {type: 'string'},
+        species: {type: 'string'},
+        og2genes: {type: 'string'},
+        'gene-xrefs': {type: 'string'},
+        org: {type: 'string', multiple: true},
+        port: {type: 'string'},
+        'allow-origin': {type: 'string', multiple: true},
+        'sparql-upstream': {type: 'string'},
+        'rest-upstream': {type: 'string'},
+        'cache-size': {type: 'string'},
+        help: {type: 'boolean'}
+      }
+    })
+  } catch (error) {
+    throw new UsageError(error.message)
+  }
+
+  const {values, positionals} = parsed
+  if (values.help) return {help: true}
+
+  const [command, ...genes] = positionals
+  if (command === 'index') return parseIndexArgs(values)
+  if (command === 'proxy') return parseProxyArgs(values)
+  if (command !== 'orthologs') {
+    const message = command ? `Unknown command "${command}"` : 'No command'
+    throw new UsageError(message)
+  }
+  if (!values.from) throw new UsageError('Missing --from')
+  if (!values.to) throw new UsageError('Missing --to')
+
+  const format = values.format || 'json'
+  if (!(format in formatters)) {
+    const formats = Object.keys(formatters).join(', ')
+    throw new UsageError(`Unknown format "${format}"; use one of: ${formats}`)
+  }
+
+  const options = {}
+  if (values.api) {
+    const apis = splitList([values.api])
+    options.api = apis.length === 1 ? apis[0] : apis
+  }
+  if (values.only) options.only = splitList([values.only])
+  if (values.assembly) options.assembly = parseAssemblies(values.assembly)
+
+  const targetOrgs = splitList(values.to)
+  if (values.org?.length > 1) throw new UsageError('Give one --org')
+
+  return {
+    command,
+    genes,
+    genesFile: values['genes-file'],
+    localIndex: values['local-index'],
+    sourceOrg: values.from,
+    targetOrgs,
+    options,
+    format,
+    org: values.org?.[0] ?? targetOrgs[0],
+    output: values.output
+  }
+}
+
+/** Parse arguments of the `index` command */
+function parseIndexArgs(values) {
+  const required = ['species', 'og2genes', 'gene-xrefs', 'org', 'output']
+  const missing = required.find(option => !values[option])
+  if (missing) throw new UsageError(`Missing --${missing}`)
+
+  return {
+    command: 'index',
+    dir: values.output,
+    species: values.species,
+    og2genes: values.og2genes,
+    geneXrefs: values['gene-xrefs'],
+    orgs: values.org
+  }
+}
+
+/** Parse arguments of the `proxy` command */
+function parseProxyArgs(values) {
+  const port = Number(values.port ?? 5000)
+  if (!Number.isInteger(port)) {
+    throw new UsageError(`Invalid --port "${values.port}"`)
+  }
+
+  const cacheSize = Number(values['cache-size'] ?? 1000)
+  if (!Number.isInteger(cacheSize) || cacheSize < 0) {
+    throw new UsageError(`Invalid --cache-size "${values['cache-size']}"`)
+  }
+
+  const upstreams = {}
+  if (values['sparql-upstream']) upstreams.sparql = values['sparql-upstream']
+  if (values['rest-upstream']) upstreams.rest = values['rest-upstream']
+
+  return {
+    command: 'proxy',
+    port,
+    options: {
+      upstreams, cacheSize, allowedOrigins: values['allow-origin'] ?? '*'
+    }
+  }
+}
+
+/** Start the proxy server, resolving once it listens */
+function startProxy({port, options}, stdout) {
+  const server = createProxyServer(options)
+  return new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, () => {
+      const url = `http://localhost:${server.address().port}/orthodb/`
+      stdout.write(`Proxying OrthoDB at ${url}\n`)
+      resolve(server)
+    })
+  })
+}
+
+/** Get genes from arguments, a file, or stdin, in that order */
+async function getGenes(args, stdin) {
+  let genes = args.genes
+  if (args.genesFile === '-') {
+    genes = genes.concat(parseGeneList(await readStream(stdin)))
+  } else if (args.genesFile) {
+    const text = await fs.readFile(args.genesFile, 'utf8')
+    genes = genes.concat(parseGeneList(text))
+  } else if (genes.length === 0 && !stdin.isTTY) {
+    genes = parseGeneList(await readStream(stdin))
+  }
+  if (genes.length === 0) throw new UsageError('No genes given')
+  return genes
+}
+
+/**
+ * Run the `homology` command, returning its exit status
+ *
+ * @param {Array} argv Arguments, e.g. process.argv.slice(2)
+ * @param {Object} io Streams `stdin`, `stdout` and `stderr`, and optionally
+ *   a `client` as returned by `createHomologyClient`
+ */
+export async function runCli(argv, {stdin, stdout, stderr, client}) {
+  let args, genes
+  try {
+    args = parseCliArgs(argv)
+    if (args.help) {
+      stdout.write(usage)
+      return 0
+    }
+    if (args.command === 'index') {
+      const {command, ...options} = args
+      await buildLocalIndex(options)
+      return 0
+    }
+    if (args.command === 'proxy') {
+      // The server keeps the process running, until interrupted
+      await startProxy(args, stdout)
+      return 0
+    }
+    genes = await getGenes(args, stdin)
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error
+    stderr.write(`homology: ${error.message}\n\n${usage}`)
+    return 2
+  }
+
+  if (!client) {
+    const dir = args.localIndex
+    const localIndex = dir ? createLocalIndex({dir}) : null
+    client = createHomologyClient({localIndex})
+  }
+
+  // Stream, so genes that fail do not lose other genes' results
+  const orthologsByIndex = []
+  let hasErrors = false
+  try {
+    const events = client.streamOrthologs(
+      genes, args.sourceOrg, args.targetOrgs, args.options
+    )
+    for await (const event of events) {
+      if (event.type === 'result') {
+        orthologsByIndex[event.index] = event.ortholog
+      } else if (event.type === 'error') {
+        hasErrors = true
+        stderr.write(`homology: ${event.error.message}\n`)
+      }
+    }
+  } catch (error) {
+    // E.g. unknown organisms or options
+    stderr.write(`homology: ${error.message}\n`)
+    return 1
+  }
+
+  // Keep input order, omitting genes that failed
+  const indexes = genes.map((gene, i) => i).filter(i => orthologsByIndex[i])
+  const orthologs = indexes.map(i => orthologsByIndex[i])
+  const keptGenes = indexes.map(i => genes[i])
+  const output =
+    formatters[args.format](orthologs, keptGenes, {org: args.org})
+
+  if (args.output) {
+    await fs.writeFile(args.output, output)
+  } else {
+    stdout.write(output)
+  }
+
+  return hasErrors ? 1 : 0
+}
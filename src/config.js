@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Configuration for upstream endpoints, API keys and fetch
+ *
+ * Each backend takes a `config` object, as returned by `getConfig`, so that
+ * clients can point at their own mirrors, use their own API keys, and supply
+ * a `fetch` implementation for environments without a global one.
+ */
+
+import {createMemoryCache, defaultCacheTtls} from './cache';
+import {createRateLimiter} from './request';
+
+// OrthoDB does not support CORS.  Homology API on Firebase proxies OrthoDB and
+// supports CORS.  This enables client-side web requests to the OrthoDB API.
+// To host such a proxy yourself, see proxy.js.
+//
+// orthodb: 'https://www.orthodb.org/',
+// orthodb: 'http://localhost:5000/orthodb/',
+// orthodb: 'http://localhost:5001/homology-api/us-central1/app/orthodb/'
+export const defaultEndpoints = {
+  orthodb: 'https://homology-api.firebaseapp.com/orthodb/',
+  oma: 'https://omabrowser.org/api',
+  uniprot: 'https://www.uniprot.org/uniprot/',
+  mygene: 'https://mygene.info/v3/',
+  eutils: 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils/',
+  ensembl: 'https://rest.ensembl.org/',
+  panther: 'https://pantherdb.org/services/oai/pantherdb/'
+}
+
+// Most genes or IDs to send in one request, for services that take many,
+// and most genes per query in `streamOrthologs`
+export const defaultBatchSizes = {
+  mygene: 1000,
+  eutils: 200,
+  ensembl: 1000,
+  stream: 50
+}
+
+export const defaultApiKeys = {
+  ncbi: 'e7ce8adecd69d0457df7ec2ccbb704c4e709'
+}
+
+// Retries for network failures, timeouts, and 429 and 5xx responses.
+// Delays double after each attempt, from `baseDelay` up to `maxDelay`.
+export const defaultRetry = {
+  retries: 3,
+  baseDelay: 500,
+  maxDelay: 8000
+}
+
+/**
+ * Get most requests per second to send each service.  NCBI allows 10 with an
+ * API key, else 3.  Ensembl allows 15.  Others are unlimited.
+ */
+function getDefaultRateLimits(apiKeys) {
+  return {
+    eutils: apiKeys.ncbi ? 10 : 3,
+    ensembl: 15
+  }
+}
+
+/**
+ * Call the global `fetch`, resolved at request time rather than import time.
+ * This lets e.g. tests assign `global.fetch` after importing this library.
+ */
+function globalFetch(...args) {
+  return globalThis.fetch(...args)
+}
+
+/**
+ * Merge given options over defaults, returning a backend configuration
+ *
+ * @param {Object} options
+ * @param {Object} options.endpoints Base URLs, keyed by service name
+ * @param {Function} options.fetch `fetch` implementation to use
+ * @param {Object} options.apiKeys API keys, keyed by service name.  Set a
+ *   key to `null` to send no key to that service.
+ * @param {Object} options.cache Response cache, as described in cache.js.
+ *   Defaults to an in-memory cache.  Set to `null` to disable caching.
+ * @param {Object} options.cacheTtls Milliseconds to cache responses for,
+ *   keyed by service name
+ * @param {Object} options.batchSizes Most genes or IDs per request, keyed by
+ *   service name: "mygene", "eutils" or "ensembl".  "stream" sets most
+ *   genes per query in `streamOrthologs`.
+ * @param {Number} options.concurrency Most batched requests to run at once
+ * @param {Object} options.retry Retry settings, as in `defaultRetry`.  Set
+ *   `retries` to 0 to not retry.
+ * @param {Number} options.timeout Milliseconds to wait for each response.
+ *   Set to `null` to wait indefinitely.
+ * @param {Object} options.rateLimits Most requests per second, keyed by
+ *   service name.  Set a limit to `null` to not limit that service.
+ * @param {Object} options.localIndex Index of OrthoDB files for the "local"
+ *   backend, as returned by `createLocalIndex` in local-index.js
+ */
+export function getConfig({
+  endpoints={}, fetch=globalFetch, apiKeys={},
+  cache=createMemoryCache(), cacheTtls={}, batchSizes={}, concurrency=4,
+  retry={}, timeout=30000, rateLimits={}, localIndex=null
+}={}) {
+  apiKeys = {...defaultApiKeys, ...apiKeys}
+  rateLimits = {...getDefaultRateLimits(apiKeys), ...rateLimits}
+
+  // Shared by all requests from a client, so limits hold across calls
+  const rateLimiters = {}
+  Object.entries(rateLimits).forEach(([service, requestsPerSecond]) => {
+    if (requestsPerSecond) {
+      rateLimiters[service] = createRateLimiter(requestsPerSecond)
+    }
+  })
+
+  return {
+    endpoints: {...defaultEndpoints, ...endpoints},
+    apiKeys,
+    fetch,
+    cache,
+    cacheTtls: {...defaultCacheTtls, ...cacheTtls},
+    batchSizes: {...defaultBatchSizes, ...batchSizes},
+    concurrency,
+    retry: {...defaultRetry, ...retry},
+    timeout,
+    rateLimits,
+    rateLimiters,
+    localIndex
+  }
+}
+
+export const defaultConfig = getConfig()
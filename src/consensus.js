@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Merge orthologs from several backends into a consensus
+ *
+ * Backends often disagree.  Querying several at once, and noting which ones
+ * support each target gene, helps tell robust orthologs from dubious ones.
+ *
+ * Targets are merged when they share an organism and either a normalized
+ * symbol (e.g. "Mtor", "MTOR_MOUSE" -> "mtor") or an ID.  Each merged target
+ * has:
+ *
+ *   supportedBy: APIs that reported the target, e.g. ["orthodb", "oma"]
+ *   agreement: fraction of queried APIs that reported the target, 0 to 1
+ */
+
+import {reportError} from './error';
+import {idFields} from './record';
+import {parseGeneInput, getGeneLabel} from './gene-input';
+
+// APIs queried for `api: 'consensus'`
+export const consensusApis = ['orthodb', 'oma']
+
+/**
+ * Get APIs to query for an `api` option, or null if it does not request a
+ * consensus
+ *
+ * Examples: "consensus" -> ["orthodb", "oma"], ["oma", "ncbi"] -> same
+ */
+export function getConsensusApis(api) {
+  if (api === 'consensus') return consensusApis
+  if (Array.isArray(api)) return api
+  return null
+}
+
+/**
+ * Normalize a gene symbol, for comparison across backends
+ *
+ * OMA names genes lacking a symbol by UniProt entry name, and OMA records
+ * keep that name as `gene`, so e.g. "MTOR_MOUSE" -> "mtor".
+ */
+function normalizeSymbol(symbol) {
+  return symbol.replace(/_[A-Z0-9]{3,5}$/, '').toLowerCase()
+}
+
+/** Get keys by which a target may match targets from other backends */
+function getMergeKeys(target) {
+  const keys = []
+  const symbol = target.name || target.gene
+  if (symbol) keys.push(`${target.org}|symbol|${normalizeSymbol(symbol)}`)
+  idFields.forEach(field => {
+    if (target[field]) keys.push(`${target.org}|${field}|${target[field]}`)
+  })
+  return keys
+}
+
+/**
+ * Merge orthologs of one gene from several backends
+ *
+ * @param {Object} orthologsByApi Result for the gene, i.e. [source,
+ *   ...targets], from each API that returned one
+ * @param {Array} apis All queried APIs, in order of precedence
+ */
+function mergeOrthologsForGene(orthologsByApi, apis) {
+  const mergedTargets = []
+  const mergedTargetsByKey = {}
+
+  const respondingApis = apis.filter(api => api in orthologsByApi)
+
+  respondingApis.forEach(api => {
+    const targets = orthologsByApi[api].slice(1)
+    targets.forEach(target => {
+      const keys = getMergeKeys(target)
+      let merged = keys.map(key => mergedTargetsByKey[key]).find(Boolean)
+
+      if (!merged) {
+        // Fields from earlier APIs take precedence, unless null
+        merged = {...target, supportedBy: []}
+        mergedTargets.push(merged)
+      } else {
+        Object.entries(target).forEach(([field, value]) => {
+          if (merged[field] === null || !(field in merged)) {
+            merged[field] = value
+          }
+        })
+      }
+
+      if (!merged.supportedBy.includes(api)) merged.supportedBy.push(api)
+      merged.agreement = merged.supportedBy.length / apis.length
+
+      keys.forEach(key => mergedTargetsByKey[key] = merged)
+    })
+  })
+
+  // Array.prototype.sort is stable, so ties keep backend order
+  mergedTargets.sort((a, b) => b.supportedBy.length - a.supportedBy.length)
+
+  const source = orthologsByApi[respondingApis[0]][0]
+  return [source, ...mergedTargets]
+}
+
+/**
+ * Get keys by which a queried gene may match a backend's source gene, e.g.
+ * "MTOR" -> ["homo sapiens|symbol|mtor"]
+ */
+function getGeneKeys(gene, sourceOrg) {
+  const input = parseGeneInput(gene)
+  if (typeof input === 'string') {
+    return [`${sourceOrg}|symbol|${normalizeSymbol(input)}`]
+  }
+  return idFields
+    .filter(field => input[field])
+    .map(field => `${sourceOrg}|${field}|${input[field]}`)
+}
+
+/**
+ * Get a backend's result for a queried gene, matched by the symbol or IDs
+ * of its source gene, as backends may omit or reorder genes
+ */
+function findOrthologForGene(orthologs, geneKeys) {
+  return orthologs.find(([source]) => {
+    return getMergeKeys(source).some(key => geneKeys.includes(key))
+  })
+}
+
+/**
+ * Fetch orthologs from several backends concurrently, and merge them
+ *
+ * Backends that fail are left out of the consensus, unless all fail, in
+ * which case the first backend's error is thrown.  Genes that no backend
+ * returns are reported as not found.
+ *
+ * @param {Object} backendsByApi Function to fetch orthologs, for each API
+ */
+export async function fetchConsensusOrthologs(
+  backendsByApi, genes, sourceOrg, targetOrgs, config, options
+) {
+  const apis = Object.keys(backendsByApi)
+
+  const settled = await Promise.allSettled(apis.map(api => {
+    const fetchFromBackend = backendsByApi[api]
+    return fetchFromBackend(genes, sourceOrg, targetOrgs, config, options)
+  }))
+
+  if (settled.every(result => result.status === 'rejected')) {
+    throw settled[0].reason
+  }
+
+  return genes.map(gene => {
+    const geneKeys = getGeneKeys(gene, sourceOrg)
+    const orthologsByApi = {}
+    settled.forEach((result, j) => {
+      if (result.status !== 'fulfilled') return
+      const ortholog = findOrthologForGene(result.value, geneKeys)
+      if (ortholog) orthologsByApi[apis[j]] = ortholog
+    })
+
+    if (Object.keys(orthologsByApi).length === 0) {
+      const cause = settled.find(result => result.status === 'rejected')
+      reportError('geneNotFound', {
+        gene: getGeneLabel(gene), sourceOrg, targetOrgs,
+        cause: cause?.reason || null
+      })
+    }
+
+    return mergeOrthologsForGene(orthologsByApi, apis)
+  })
+}
@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Client library for Ensembl Compara
+ * API docs: https://rest.ensembl.org/documentation/info/homology_symbol
+ *
+ * This module supports fetching orthologs from Ensembl Compara, via the
+ * Ensembl REST API.  Besides locations, each ortholog notes its orthology
+ * type (e.g. "ortholog_one2one"), percent identity, and dN/dS if known.
+ */
+
+import {getTaxid} from './organism';
+import {getGeneSymbols} from './gene-input';
+import {
+  reportError, reportMissingTargets, InvalidInputError
+} from './error';
+import {defaultConfig} from './config';
+import {fetchCachedJson} from './cache';
+import {fetchResponse, parseJson} from './request';
+import {chunk, mapConcurrently} from './batch';
+import {createRecord} from './record';
+import {getEnsemblRelationship} from './relationship';
+import {reportProgress} from './progress';
+
+/** E.g. "homo sapiens" -> "homo_sapiens", as used in Ensembl URLs */
+function getEnsemblSpecies(org) {
+  return org.replace(/ /g, '_')
+}
+
+/**
+ * Query Ensembl Compara for orthologs of a gene, by symbol
+ *
+ * Example:
+ * https://rest.ensembl.org/homology/symbol/homo_sapiens/MTOR?type=orthologues;format=full;target_taxon=10090;content-type=application/json
+ */
+async function fetchEnsemblHomologies(gene, sourceOrg, targetTaxids, config) {
+  const targetParams =
+    targetTaxids.map(taxid => 'target_taxon=' + taxid).join(';')
+
+  const url =
+    config.endpoints.ensembl + 'homology/symbol/' +
+    getEnsemblSpecies(sourceOrg) + '/' + encodeURIComponent(gene) +
+    '?type=orthologues;format=full;' + targetParams +
+    ';content-type=application/json'
+
+  // Ensembl responds to unknown symbols with status 400 and an `error`
+  return await fetchCachedJson(url, 'ensembl', config, {}, [400])
+}
+
+/**
+ * Look up names and coordinates of Ensembl genes, via POST requests of at
+ * most 1000 IDs, as Ensembl allows
+ *
+ * Returns an object with Ensembl IDs as keys, and gene records (or null,
+ * for IDs not found) as values.
+ */
+async function fetchEnsemblGenes(ids, config) {
+  const url = config.endpoints.ensembl + 'lookup/id'
+  const batches = chunk(ids, config.batchSizes.ensembl)
+  const results = await mapConcurrently(batches, async batch => {
+    const response = await fetchResponse(url, 'ensembl', config, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json', 'Accept': 'application/json'
+      },
+      body: JSON.stringify({ids: batch})
+    })
+    return await parseJson(response, 'ensembl')
+  }, config.concurrency)
+  return Object.assign({}, ...results)
+}
+
+/** Get coordinates of an Ensembl gene, for a result record */
+function getCoordinates(ensemblGene) {
+  if (!ensemblGene) return {}
+  const {
+    seq_region_name: chr, start, end: stop, strand, assembly_name: assembly
+  } = ensemblGene
+  return {chr, start, stop, strand, assembly}
+}
+
+/**
+ * Check that an Ensembl gene is on the assembly requested for its organism
+ *
+ * Each Ensembl REST server has one assembly per organism, so e.g. GRCh37
+ * needs `endpoints.ensembl` set to https://grch37.rest.ensembl.org/.
+ */
+function checkAssembly(ensemblGene, org, options) {
+  const requested = options.assembly?.[org]
+  const assembly = ensemblGene?.assembly_name
+  if (!requested || !assembly) return
+  if (requested.toLowerCase() !== assembly.toLowerCase()) {
+    throw new InvalidInputError(
+      `Assembly "${requested}" requested for organism "${org}", but the ` +
+      `Ensembl endpoint serves "${assembly}"`,
+      {backend: 'ensembl'}
+    )
+  }
+}
+
+/**
+ * Given genes in a source organism, retrieve their orthologs in other
+ * organisms from Ensembl Compara.
+ *
+ * Each returned ortholog is an array of the source gene, followed by its
+ * target genes grouped per target organism, as in the OrthoDB backend.
+ *
+ * @param {Object} options
+ * @param {Object} options.assembly Assembly names by organism, e.g.
+ *   {"homo sapiens": "GRCh38"}; must match the Ensembl endpoint's
+ */
+async function fetchOrthologsFromEnsembl(
+  genes, sourceOrg, targetOrgs, config=defaultConfig, options={}
+) {
+  genes = getGeneSymbols(genes, 'ensembl')
+  const targetTaxids = targetOrgs.map(getTaxid)
+
+  reportProgress(options, 'query', 'ensembl')
+
+  // Query genes in parallel
+  const homologsByGene = await Promise.all(genes.map(async gene => {
+    const details = {gene, sourceOrg, targetOrgs, backend: 'ensembl'}
+
+    const json =
+      await fetchEnsemblHomologies(gene, sourceOrg, targetTaxids, config)
+
+    if (json.error || json.data.length === 0) {
+      const cause = json.error ? Error(json.error) : null
+      reportError('geneNotFound', {...details, cause})
+    }
+
+    const {id, homologies} = json.data[0]
+
+    const foundOrgs = homologies.map(homology => {
+      return targetOrgs[targetTaxids.indexOf(String(homology.target.taxon_id))]
+    })
+    reportMissingTargets(foundOrgs, details)
+
+    return {gene, id, homologies}
+  }))
+
+  let ids = []
+  homologsByGene.forEach(({id, homologies}) => {
+    ids.push(id)
+    ids = ids.concat(homologies.map(homology => homology.target.id))
+  })
+  reportProgress(options, 'locations', 'ensembl')
+  const ensemblGenes = await fetchEnsemblGenes(ids, config)
+
+  return homologsByGene.map(({gene, id, homologies}) => {
+    const sourceGene = ensemblGenes[id]
+    checkAssembly(sourceGene, sourceOrg, options)
+    const source = createRecord({
+      ...getCoordinates(sourceGene),
+      name: sourceGene?.display_name || gene,
+      org: sourceOrg,
+      taxid: getTaxid(sourceOrg),
+      backend: 'ensembl',
+      ensemblId: id
+    }, {id})
+
+    const ortholog = [source]
+
+    targetOrgs.forEach((targetOrg, i) => {
+      const theseHomologies = homologies.filter(homology => {
+        return String(homology.target.taxon_id) === targetTaxids[i]
+      })
+
+      theseHomologies.forEach(homology => {
+        const {target, type} = homology
+        const targetGene = ensemblGenes[target.id]
+
+        // Targets without a location are kept, with null coordinates
+        checkAssembly(targetGene, targetOrg, options)
+
+        const ensemblTarget = createRecord({
+          ...getCoordinates(targetGene),
+          name: targetGene?.display_name || target.id,
+          org: targetOrg,
+          taxid: targetTaxids[i],
+          backend: 'ensembl',
+          ensemblId: target.id,
+          relationship: getEnsemblRelationship(type, theseHomologies.length)
+        }, {
+          id: target.id,
+          orthologyType: type, // e.g. ortholog_one2one
+          percentIdentity: target.perc_id
+        })
+
+        if (typeof homology.dn_ds === 'number') {
+          ensemblTarget.dnDs = homology.dn_ds
+        }
+
+        ortholog.push(ensemblTarget)
+      })
+    })
+
+    return ortholog
+  })
+}
+
+export default fetchOrthologsFromEnsembl;
@@ -1,9 +1,10 @@
 /**
  * Converts an all-lowercase name to uppercase genus, lowercase species
- * Example: mus musculus -> Mus musculus
+ * Example: mus musculus -> Mus musculus.  Missing names return null.
  */
 function normalizeOrganismName(name) {
   var genusSpecies, genus, species;
+  if (!name) return null;
   genusSpecies = name.split(' ');
 
   // e.g. mus -> Mus
@@ -15,21 +16,136 @@ function normalizeOrganismName(name) {
   return genus + ' ' + species;
 }
 
-function reportError(error, errorObj=null, gene=null, org1=null, org2=null) {
-  var summaries, summary, detail;
+/**
+ * Base class for errors thrown by Homology.js
+ *
+ * Messages are plain text.  Fields like `code` and `gene` let callers handle
+ * errors, and format them e.g. as HTML, without parsing messages.
+ * `targetOrgs` lists all queried target organisms, and `targetOrg` is the
+ * one an error concerns, if any.
+ */
+class HomologyError extends Error {
+  constructor(message, {
+    gene=null, sourceOrg=null, targetOrg=null, targetOrgs=null, backend=null,
+    cause=null
+  }={}) {
+    super(message);
+    this.name = 'HomologyError';
+    this.code = 'homologyError';
+    this.gene = gene;
+    this.sourceOrg = sourceOrg;
+    this.targetOrg = targetOrg;
+    this.targetOrgs = targetOrgs;
+    this.backend = backend;
+    this.cause = cause;
+  }
+}
 
-  if (org1 !== null) org1 = normalizeOrganismName(org1);
-  if (org2 !== null) org2 = normalizeOrganismName(org2[0]);
+class GeneNotFoundError extends HomologyError {
+  constructor(details={}) {
+    const org = normalizeOrganismName(details.sourceOrg);
+    const where = org ? ` in source organism "${org}"` : '';
+    super(`Gene "${details.gene}" not found${where}`, details);
+    this.name = 'GeneNotFoundError';
+    this.code = 'geneNotFound';
+  }
+}
+
+class OrthologsNotFoundError extends HomologyError {
+  constructor(details={}) {
+    super(`Orthologs not found for gene "${details.gene}"`, details);
+    this.name = 'OrthologsNotFoundError';
+    this.code = 'orthologsNotFound';
+  }
+}
+
+class ParalogsNotFoundError extends HomologyError {
+  constructor(details={}) {
+    super(`Paralogs not found for gene "${details.gene}"`, details);
+    this.name = 'ParalogsNotFoundError';
+    this.code = 'paralogsNotFound';
+  }
+}
+
+class TargetNotFoundError extends HomologyError {
+  constructor(details={}) {
+    const org = normalizeOrganismName(details.targetOrg);
+    const where = org ? `target organism "${org}"` : 'target organisms';
+    super(
+      `Orthologs not found for gene "${details.gene}" in ${where}`, details
+    );
+    this.name = 'TargetNotFoundError';
+    this.code = 'orthologsNotFoundInTarget';
+  }
+}
 
-  summaries = {
-      'geneNotFound': `Gene "${gene}" not found in source organism "${org1}"`,
-      'orthologsNotFound': `Orthologs not found for gene "${gene}"`,
-      'orthologsNotFoundInTarget':
-        `Orthologs not found for gene "${gene}" in target organism "${org2}"`
+class UpstreamError extends HomologyError {
+  constructor(details={}) {
+    const status = details.status ? ` with status ${details.status}` : '';
+    const cause = details.cause ? `: ${details.cause.message}` : '';
+    super(`Request to ${details.backend} failed${status}${cause}`, details);
+    this.name = 'UpstreamError';
+    this.code = 'upstreamError';
+    this.status = details.status || null;
   }
-  detail = errorObj ? `<br/><small>${errorObj.message}</small>` : '';
-  summary = summaries[error] + detail
-  throw new Error(summary);
 }
 
-export {reportError}
\ No newline at end of file
+class InvalidInputError extends HomologyError {
+  constructor(message, details={}) {
+    super(message, details);
+    this.name = 'InvalidInputError';
+    this.code = 'invalidInput';
+  }
+}
+
+const errorClassesByCode = {
+  'geneNotFound': GeneNotFoundError,
+  'orthologsNotFound': OrthologsNotFoundError,
+  'orthologsNotFoundInTarget': TargetNotFoundError,
+  'paralogsNotFound': ParalogsNotFoundError,
+  'upstreamError': UpstreamError
+}
+
+/**
+ * Throw the error for a code, e.g. "geneNotFound"
+ *
+ * @param {String} code Error code
+ * @param {Object} details Error fields: gene, sourceOrg, targetOrg,
+ *   targetOrgs, backend, cause, and (for upstream errors) status
+ */
+function reportError(code, details={}) {
+  const ErrorClass = errorClassesByCode[code];
+  throw new ErrorClass(details);
+}
+
+/**
+ * Throw if a gene has homologs in none of `details.targetOrgs`
+ *
+ * Genes with homologs in only some target organisms are kept, so that one
+ * organism lacking them does not lose results for the others.  The error
+ * names the target organism if there is only one.
+ *
+ * @param {Array} foundOrgs Organisms of the gene's homologs
+ * @param {Object} details Error fields, as for `reportError`
+ * @param {String} code Error code, e.g. "paralogsNotFound" for paralogs
+ */
+function reportMissingTargets(
+  foundOrgs, details, code='orthologsNotFoundInTarget'
+) {
+  const {targetOrgs} = details;
+  if (targetOrgs.some(org => foundOrgs.includes(org))) return;
+  const targetOrg = targetOrgs.length === 1 ? targetOrgs[0] : null;
+  reportError(code, {...details, targetOrg});
+}
+
+export {
+  reportError,
+  reportMissingTargets,
+  HomologyError,
+  GeneNotFoundError,
+  OrthologsNotFoundError,
+  ParalogsNotFoundError,
+  TargetNotFoundError,
+  UpstreamError,
+  InvalidInputError
+}
@@ -0,0 +1,299 @@
+/**
+ * @fileoverview Export orthologs to other formats, e.g. for pipelines
+ *
+ * Each exporter takes orthologs as returned by `fetchOrthologs`, i.e. for
+ * each gene, an array of its source record followed by its target records.
+ * Formats are:
+ *
+ *   - TSV and CSV, with a row per target, for spreadsheets and scripts
+ *   - BED, with a line per gene, e.g. for IGV and `bedtools intersect`
+ *   - BEDPE, with a line per source-target pair, e.g. for `bedtools pairtobed`
+ *   - GFF3, with a feature per gene, cross-referenced to its orthologs
+ *   - Ideogram synteny regions and annotations, for ideogram.js
+ *
+ * Genes without coordinates are omitted from all but TSV and CSV.
+ */
+
+import {normalizeOrganism} from './organism';
+
+// Columns of tabular exports: one row per target, with its source gene
+export const tabularColumns = [
+  'gene', 'sourceName', 'sourceLocation',
+  'name', 'org', 'taxid', 'chr', 'start', 'stop', 'strand', 'assembly',
+  'relationship', 'backend',
+  'ensemblId', 'ncbiGeneId', 'uniprotId', 'orthodbId', 'omaId'
+]
+
+/**
+ * Get a row of values for each target, in the order of `tabularColumns`
+ *
+ * @param {Array} orthologs Orthologs, as returned by `fetchOrthologs`
+ * @param {Array} genes Genes as queried, to fill the "gene" column; source
+ *   names are used if absent
+ */
+function getRows(orthologs, genes=[]) {
+  const rows = []
+  orthologs.forEach((ortholog, i) => {
+    const [source, ...targets] = ortholog
+    const gene = genes[i] ?? source.name
+    targets.forEach(target => {
+      const values = {
+        ...target, gene, sourceName: source.name,
+        sourceLocation: source.location
+      }
+      rows.push(tabularColumns.map(column => values[column] ?? ''))
+    })
+  })
+  return rows
+}
+
+/** Quote a CSV field if needed, per RFC 4180 */
+function quoteCsvField(value) {
+  const text = String(value)
+  if (!/[",\r\n]/.test(text)) return text
+  return '"' + text.replace(/"/g, '""') + '"'
+}
+
+/** TSV fields cannot contain tabs or newlines, so replace them */
+function cleanTsvField(value) {
+  return String(value).replace(/[\t\r\n]+/g, ' ')
+}
+
+/**
+ * Export orthologs as tab-separated values, with a header row
+ *
+ * @param {Array} orthologs Orthologs, as returned by `fetchOrthologs`
+ * @param {Array} genes Genes as queried, one per ortholog
+ */
+export function toTsv(orthologs, genes) {
+  const lines = [tabularColumns, ...getRows(orthologs, genes)]
+  return lines.map(line => line.map(cleanTsvField).join('\t') + '\n').join('')
+}
+
+/**
+ * Export orthologs as comma-separated values, with a header row
+ *
+ * @param {Array} orthologs Orthologs, as returned by `fetchOrthologs`
+ * @param {Array} genes Genes as queried, one per ortholog
+ */
+export function toCsv(orthologs, genes) {
+  const lines = [tabularColumns, ...getRows(orthologs, genes)]
+  return lines.map(line => line.map(quoteCsvField).join(',') + '\n').join('')
+}
+
+/** Get [source, target] pairs, over all genes */
+function getPairs(orthologs) {
+  return orthologs.flatMap(([source, ...targets]) => {
+    return targets.map(target => [source, target])
+  })
+}
+
+/** Determine if a record has genomic coordinates */
+function hasCoordinates(record) {
+  return record.chr !== null && record.start !== null
+}
+
+/**
+ * Get unique records with coordinates, sources and targets, in order of
+ * appearance.  If `org` is given, only records in that organism are kept.
+ */
+function getMappedRecords(orthologs, org) {
+  if (org) org = normalizeOrganism(org)
+  const recordsByKey = new Map()
+  orthologs.flat().forEach(record => {
+    if (!hasCoordinates(record) || (org && record.org !== org)) return
+    const key = [record.org, record.name, record.location].join('\t')
+    if (!recordsByKey.has(key)) recordsByKey.set(key, record)
+  })
+  return [...recordsByKey.values()]
+}
+
+/** E.g. 1 -> "+", -1 -> "-", null -> "." */
+function getStrandSymbol(strand) {
+  return {'1': '+', '-1': '-'}[strand] ?? '.'
+}
+
+/**
+ * Get BED fields for a record's interval.  BED is 0-based and half-open,
+ * whereas records are 1-based and closed, as in MyGene.info and Ensembl.
+ */
+function getBedInterval(record) {
+  return [record.chr, record.start - 1, record.stop]
+}
+
+/**
+ * Export genes as BED6, e.g. to view in IGV
+ *
+ * BED files describe one genome, so pass `org` to get one organism's genes,
+ * e.g. only targets in mouse.  Otherwise, sources and targets are mixed.
+ *
+ * @param {Array} orthologs Orthologs, as returned by `fetchOrthologs`
+ * @param {Object} options
+ * @param {String} options.org Organism to export genes of
+ */
+export function toBed(orthologs, {org}={}) {
+  return getMappedRecords(orthologs, org).map(record => {
+    const fields = [
+      ...getBedInterval(record), record.name, 0,
+      getStrandSymbol(record.strand)
+    ]
+    return fields.join('\t') + '\n'
+  }).join('')
+}
+
+/**
+ * Export source-target pairs as BEDPE, e.g. for `bedtools pairtobed`
+ *
+ * Besides the 10 standard columns, each line has the target's organism and
+ * relationship to its source, e.g. "one-to-one".
+ *
+ * @param {Array} orthologs Orthologs, as returned by `fetchOrthologs`
+ */
+export function toBedpe(orthologs) {
+  return getPairs(orthologs)
+    .filter(([source, target]) => {
+      return hasCoordinates(source) && hasCoordinates(target)
+    })
+    .map(([source, target]) => {
+      const fields = [
+        ...getBedInterval(source), ...getBedInterval(target),
+        source.name + '/' + target.name, 0,
+        getStrandSymbol(source.strand), getStrandSymbol(target.strand),
+        target.org ?? '.', target.relationship ?? '.'
+      ]
+      return fields.join('\t') + '\n'
+    })
+    .join('')
+}
+
+// Database prefixes for GFF3 Dbxref attributes, per the GO registry
+const dbxrefPrefixes = {
+  ensemblId: 'ENSEMBL',
+  ncbiGeneId: 'GeneID',
+  uniprotId: 'UniProtKB',
+  orthodbId: 'OrthoDB',
+  omaId: 'OMA'
+}
+
+/** Escape reserved characters in GFF3 columns and attribute values */
+function escapeGff3(value) {
+  return String(value).replace(/[\t\n\r%;=&,\x00-\x1f\x7f]/g, char => {
+    return '%' + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')
+  })
+}
+
+/** Get a GFF3 feature ID, unique across organisms, e.g. "10090:Mtor" */
+function getFeatureId(record) {
+  return (record.taxid ?? record.org) + ':' + record.name
+}
+
+/**
+ * Export genes as GFF3, e.g. to view in IGV or JBrowse
+ *
+ * Each gene is a "gene" feature, whose `Dbxref` attribute has its IDs in
+ * Ensembl, NCBI Gene, UniProt, OrthoDB and OMA, if known.  Its `orthologs`
+ * attribute has the IDs of its orthologs' features, e.g. "9606:MTOR", and
+ * targets have a `relationship` attribute, e.g. "one-to-one".  As with BED,
+ * pass `org` to get one organism's genes.
+ *
+ * @param {Array} orthologs Orthologs, as returned by `fetchOrthologs`
+ * @param {Object} options
+ * @param {String} options.org Organism to export genes of
+ */
+export function toGff3(orthologs, {org}={}) {
+  const orthologIdsById = {}
+  function addOrtholog(id, orthologId) {
+    if (!(id in orthologIdsById)) orthologIdsById[id] = new Set()
+    orthologIdsById[id].add(orthologId)
+  }
+  getPairs(orthologs).forEach(([source, target]) => {
+    addOrtholog(getFeatureId(source), getFeatureId(target))
+    addOrtholog(getFeatureId(target), getFeatureId(source))
+  })
+
+  const featureIds = new Set()
+  const lines = ['##gff-version 3\n']
+  getMappedRecords(orthologs, org).forEach(record => {
+    const id = getFeatureId(record)
+    if (featureIds.has(id)) return
+    featureIds.add(id)
+
+    const dbxrefs = Object.entries(dbxrefPrefixes)
+      .filter(([field]) => record[field])
+      .map(([field, prefix]) => prefix + ':' + escapeGff3(record[field]))
+    const orthologIds = [...(orthologIdsById[id] ?? [])].map(escapeGff3)
+
+    const attributes = [
+      'ID=' + escapeGff3(id),
+      'Name=' + escapeGff3(record.name)
+    ]
+    if (dbxrefs.length) attributes.push('Dbxref=' + dbxrefs.join(','))
+    if (orthologIds.length) {
+      attributes.push('orthologs=' + orthologIds.join(','))
+    }
+    if (record.relationship) {
+      attributes.push('relationship=' + escapeGff3(record.relationship))
+    }
+
+    const fields = [
+      escapeGff3(record.chr), escapeGff3(record.backend ?? 'homology'), 'gene',
+      record.start, record.stop, '.', getStrandSymbol(record.strand), '.',
+      attributes.join(';')
+    ]
+    lines.push(fields.join('\t') + '\n')
+  })
+
+  return lines.join('')
+}
+
+/** Get an Ideogram synteny region for a record */
+function getSyntenyRegion(record) {
+  const {org, taxid, chr, start, stop} = record
+  return {organism: org, taxid, chr, start, stop}
+}
+
+/**
+ * Export source-target pairs as Ideogram syntenic regions
+ *
+ * Returns e.g. [{r1: {organism, taxid, chr, start, stop}, r2: {...}}].
+ * Ideogram's `drawSynteny` expects `chr` to be a chromosome model, so swap
+ * in `ideogram.chromosomes[taxid][chr]` before drawing.
+ *
+ * @param {Array} orthologs Orthologs, as returned by `fetchOrthologs`
+ */
+export function toIdeogramSynteny(orthologs) {
+  return getPairs(orthologs)
+    .filter(([source, target]) => {
+      return hasCoordinates(source) && hasCoordinates(target)
+    })
+    .map(([source, target]) => {
+      return {r1: getSyntenyRegion(source), r2: getSyntenyRegion(target)}
+    })
+}
+
+/**
+ * Export genes as Ideogram annotations, as for its `annotationsPath`
+ *
+ * Returns e.g. {keys: ["name", "start", "length"], annots: [{chr: "1",
+ * annots: [["MTOR", 11106535, 156017]]}]}.  Ideograms depict one organism
+ * at a time, so this exports genes in `org`; the source organism by default.
+ *
+ * @param {Array} orthologs Orthologs, as returned by `fetchOrthologs`
+ * @param {Object} options
+ * @param {String} options.org Organism to export genes of
+ */
+export function toIdeogramAnnotations(orthologs, {org}={}) {
+  org = org ?? orthologs[0]?.[0].org
+  const annotsByChr = new Map()
+  if (org) {
+    getMappedRecords(orthologs, org).forEach(record => {
+      if (!annotsByChr.has(record.chr)) annotsByChr.set(record.chr, [])
+      // Records are 1-based and closed, so include both ends
+      const length = record.stop - record.start + 1
+      annotsByChr.get(record.chr).push([record.name, record.start, length])
+    })
+  }
+
+  const annots = [...annotsByChr].map(([chr, annots]) => ({chr, annots}))
+  return {keys: ['name', 'start', 'length'], annots}
+}
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Filesystem response cache, for Node
+ *
+ * This is kept apart from cache.js, so browser bundles do not depend on
+ * Node's `fs` and `crypto` modules.  Usage:
+ *
+ *   import {createFileCache} from 'homology/src/file-cache';
+ *   const client = createHomologyClient({
+ *     cache: createFileCache({dir: '.homology-cache'})
+ *   });
+ */
+
+import {createHash} from 'crypto';
+import {promises as fs} from 'fs';
+import path from 'path';
+
+/** Get file name for a cache key.  Keys are URLs, often too long to use. */
+function getFileName(key) {
+  return createHash('sha1').update(key).digest('hex') + '.json'
+}
+
+/**
+ * Create a cache that persists entries as JSON files in a directory
+ *
+ * @param {Object} options
+ * @param {String} options.dir Directory for cache files; created if absent
+ */
+export function createFileCache({dir='.homology-cache'}={}) {
+
+  async function readEntry(fileName) {
+    try {
+      const entry = JSON.parse(await fs.readFile(path.join(dir, fileName)))
+      if (entry.expires !== null && entry.expires <= Date.now()) {
+        await removeFile(fileName)
+        return undefined
+      }
+      return entry
+    } catch (e) {
+      // Missing or partially written files are cache misses
+      return undefined
+    }
+  }
+
+  async function removeFile(fileName) {
+    try {
+      await fs.unlink(path.join(dir, fileName))
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e
+    }
+  }
+
+  async function listFiles() {
+    try {
+      const files = await fs.readdir(dir)
+      return files.filter(file => file.endsWith('.json'))
+    } catch (e) {
+      return []
+    }
+  }
+
+  return {
+    async get(key) {
+      const entry = await readEntry(getFileName(key))
+      return entry?.value
+    },
+
+    async set(key, value, ttl=null) {
+      const expires =
+        ttl === null || ttl === Infinity ? null : Date.now() + ttl
+      await fs.mkdir(dir, {recursive: true})
+      const json = JSON.stringify({key, value, expires})
+      await fs.writeFile(path.join(dir, getFileName(key)), json)
+    },
+
+    async delete(key) {
+      await removeFile(getFileName(key))
+    },
+
+    async keys() {
+      const entries = await Promise.all((await listFiles()).map(readEntry))
+      return entries.filter(Boolean).map(entry => entry.key)
+    },
+
+    async clear() {
+      const files = await listFiles()
+      await Promise.all(files.map(removeFile))
+    }
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Parse and resolve genes given as symbols or stable IDs
+ *
+ * Genes can be given as symbols (e.g. "MTOR"), or as stable IDs, which are
+ * auto-detected or tagged:
+ *
+ *   "ENSG00000198793" or {ensemblId: "ENSG00000198793"} -- Ensembl gene
+ *   "2475", 2475 or {ncbiGeneId: "2475"} -- NCBI Gene
+ *   {uniprotId: "P42345"} -- UniProt accession
+ *
+ * UniProt accessions must be tagged, as many symbols look like them, e.g.
+ * P2RY12 or H2BC12.  Tag a symbol that looks like another ID as e.g.
+ * {symbol: "2475"}.
+ *
+ * OrthoDB, OMA and local backends accept stable IDs.  Others take only
+ * symbols, so reject genes given by ID.
+ */
+
+import {reportError, InvalidInputError} from './error';
+import {fetchMyGeneHits} from './lib';
+
+// Ensembl gene IDs, including those of species annotated by other
+// databases, e.g. WormBase (WBGene00003786) and FlyBase (FBgn0021796)
+const ensemblIdRegex = /^(ENS[A-Z]*G\d{11}(\.\d+)?|WBGene\d{8}|FBgn\d{7})$/
+
+// Per https://www.uniprot.org/help/accession_numbers
+const uniprotIdRegex =
+  /^([OPQ][0-9][A-Z0-9]{3}[0-9]|[A-NR-Z][0-9]([A-Z][A-Z0-9]{2}[0-9]){1,2})$/
+
+/**
+ * Determine if an ID has the form of a UniProt accession, e.g. "P42345".
+ * Only for IDs known to be of proteins, as some gene symbols match too.
+ */
+export function isUniprotAccession(id) {
+  return uniprotIdRegex.test(id)
+}
+
+/**
+ * Parse a gene input into a symbol string, or an object with a stable ID
+ *
+ * Examples:
+ *   "MTOR" -> "MTOR"
+ *   "ENSG00000198793" -> {ensemblId: "ENSG00000198793"}
+ *   {symbol: "MTOR"} -> "MTOR"
+ */
+export function parseGeneInput(gene) {
+  if (typeof gene === 'number') return {ncbiGeneId: String(gene)}
+  if (typeof gene === 'object') {
+    if (gene.symbol) return gene.symbol
+    if (gene.ncbiGeneId) return {...gene, ncbiGeneId: String(gene.ncbiGeneId)}
+    return gene
+  }
+  if (ensemblIdRegex.test(gene)) return {ensemblId: gene}
+  if (/^\d+$/.test(gene)) return {ncbiGeneId: gene}
+  return gene
+}
+
+/** Get text to identify a gene input in errors, e.g. "ENSG00000198793" */
+export function getGeneLabel(gene) {
+  const input = parseGeneInput(gene)
+  if (typeof input === 'string') return input
+  return input.ensemblId || input.ncbiGeneId || input.uniprotId
+}
+
+/**
+ * Get symbols of genes, for a backend that takes only symbols.  Throws
+ * InvalidInputError for genes given by stable ID, rather than query them as
+ * symbols.
+ *
+ * Example: ["MTOR", {symbol: "ACE2"}] -> ["MTOR", "ACE2"]
+ */
+export function getGeneSymbols(genes, backend) {
+  return genes.map(gene => {
+    const input = parseGeneInput(gene)
+    if (typeof input === 'string') return input
+    const label = getGeneLabel(input)
+    throw new InvalidInputError(
+      `The ${backend} backend takes gene symbols, not IDs like "${label}".  ` +
+      'Use OrthoDB or OMA for genes given by ID.',
+      {gene: label, backend}
+    )
+  })
+}
+
+/** E.g. "P42345" -> ["P42345"], undefined -> [] */
+function toArray(value) {
+  if (typeof value === 'undefined') return []
+  return Array.isArray(value) ? value : [value]
+}
+
+/** Determine if a MyGene.info hit is the gene with a stable ID */
+function hasId(hit, input) {
+  if (input.ensemblId) {
+    const ensemblIds = toArray(hit.genomic_pos).map(pos => pos.ensemblgene)
+      .concat(toArray(hit.ensembl).map(ensembl => ensembl.gene))
+    return ensemblIds.includes(input.ensemblId.split('.')[0])
+  }
+  if (input.ncbiGeneId) {
+    return String(hit.entrezgene) === input.ncbiGeneId
+  }
+  const uniprotIds =
+    toArray(hit.uniprot?.['Swiss-Prot'])
+      .concat(toArray(hit.uniprot?.TrEMBL))
+  return uniprotIds.includes(input.uniprotId)
+}
+
+/**
+ * Resolve genes given by stable ID to their symbol and other stable IDs,
+ * via MyGene.info.  Genes given by symbol are returned as is.
+ *
+ * Example:
+ *   ["MTOR", "ENSMUSG00000028991"] ->
+ *   ["MTOR", {name: "Mtor", ensemblId: "ENSMUSG00000028991",
+ *     ncbiGeneId: "56717", uniprotId: "Q9JLN9"}]
+ */
+export async function resolveGeneInputs(genes, taxid, details, config) {
+  const inputs = genes.map(parseGeneInput)
+  const idInputs = inputs.filter(input => typeof input !== 'string')
+  if (idInputs.length === 0) return inputs
+
+  const fields = 'symbol,name,genomic_pos,entrezgene,ensembl.gene,uniprot'
+  const hits = await fetchMyGeneHits(idInputs, taxid, fields, config)
+
+  return inputs.map(input => {
+    if (typeof input === 'string') return input
+
+    const hit = hits.find(hit => hasId(hit, input))
+    if (!hit) {
+      reportError('geneNotFound', {...details, gene: getGeneLabel(input)})
+    }
+
+    const ensemblGene = toArray(hit.genomic_pos)[0]?.ensemblgene
+    return {
+      name: hit.symbol,
+      ensemblId: input.ensemblId || ensemblGene,
+      ncbiGeneId: input.ncbiGeneId || hit.entrezgene?.toString(),
+      uniprotId: input.uniprotId || toArray(hit.uniprot?.['Swiss-Prot'])[0]
+    }
+  })
+}
@@ -1,14 +1,316 @@
-import fetchOrthologsFromOma from './oma';
+import fetchOrthologsFromOma, {fetchParalogsFromOma} from './oma';
 import {
-  fetchOrthologsFromOrthodbSparql
+  fetchOrthologsFromOrthodbSparql,
+  fetchParalogsFromOrthodbSparql
 } from './orthodb';
+import fetchOrthologsFromEnsembl from './ensembl';
+import fetchOrthologsFromNcbi from './ncbi';
+import fetchOrthologsFromPanther from './panther';
+import {
+  fetchOrthologsFromLocal, fetchParalogsFromLocal, registerIndexedOrganisms
+} from './local';
+import {getConsensusApis, fetchConsensusOrthologs} from './consensus';
+import {getConfig} from './config';
+import {fetchOrganism} from './organism';
+import {
+  parseRelationshipFilter, filterByRelationship
+} from './relationship';
+import {resolveAssemblyOption} from './assembly';
+import {InvalidInputError} from './error';
+import {getAbortError} from './request';
+import {chunk, mapConcurrently} from './batch';
+import {createAsyncQueue} from './stream';
+import {getGeneLabel} from './gene-input';
+
+const orthologBackends = {
+  orthodb: fetchOrthologsFromOrthodbSparql,
+  oma: fetchOrthologsFromOma,
+  ensembl: fetchOrthologsFromEnsembl,
+  ncbi: fetchOrthologsFromNcbi,
+  panther: fetchOrthologsFromPanther,
+  local: fetchOrthologsFromLocal
+}
+
+const paralogBackends = {
+  orthodb: fetchParalogsFromOrthodbSparql,
+  oma: fetchParalogsFromOma,
+  local: fetchParalogsFromLocal
+}
 
-async function fetchOrthologs(genes, sourceOrg, targetOrgs, api='orthodb') {
-  if (api === 'orthodb') {
-    return await fetchOrthologsFromOrthodbSparql(genes, sourceOrg, targetOrgs);
-  } else if (api === 'oma') {
-    return await fetchOrthologsFromOma(genes, sourceOrg, targetOrgs);
+/** Get the function that fetches homologs from an API, e.g. "oma" */
+function getBackend(backends, api) {
+  if (!Object.prototype.hasOwnProperty.call(backends, api)) {
+    const names = Object.keys(backends).map(name => `"${name}"`).join(', ')
+    throw new InvalidInputError(
+      `Unknown API "${api}".  Use one of: ${names}.`, {backend: api}
+    );
   }
+  return backends[api]
+}
+
+/**
+ * Get the function that fetches orthologs from the backend, or backends, in
+ * `api`.  Consensus fetchers merge results from each backend.
+ */
+function getOrthologFetcher(api) {
+  const consensusApis = getConsensusApis(api)
+  if (!consensusApis) return getBackend(orthologBackends, api)
+
+  const backendsByApi = {}
+  consensusApis.forEach(api => {
+    backendsByApi[api] = getBackend(orthologBackends, api)
+  })
+  return (...args) => fetchConsensusOrthologs(backendsByApi, ...args)
+}
+
+/** Whether `api` queries the local index, alone or among others */
+function usesLocalIndex(api) {
+  return (getConsensusApis(api) ?? [api]).includes('local')
 }
 
+/**
+ * Get options for `fetchOrthologs`, which also accepts a bare API name
+ *
+ * Example: "oma" -> {api: "oma"}
+ */
+function getOptions(options) {
+  if (typeof options === 'string') options = {api: options}
+  return {api: 'orthodb', ...options}
+}
+
+/**
+ * Get configuration for one call, whose requests are cancelled when
+ * `signal`, an AbortSignal, is aborted
+ */
+function getCallConfig(config, signal) {
+  if (!signal) return config
+  if (signal.aborted) throw getAbortError(signal)
+  return {...config, signal}
+}
+
+/**
+ * Group orthologs by target organism
+ *
+ * Returns an object with a key for each target organism.  Its value has the
+ * shape `fetchOrthologs` returns: for each gene, an array of the gene
+ * followed by its orthologs in that organism.
+ */
+function groupByTarget(orthologs, targetOrgs) {
+  const orthologsByTarget = {}
+  targetOrgs.forEach(targetOrg => {
+    orthologsByTarget[targetOrg] = orthologs.map(([source, ...targets]) => {
+      return [source, ...targets.filter(target => target.org === targetOrg)]
+    })
+  })
+  return orthologsByTarget
+}
+
+/**
+ * Create a client that uses the given endpoints, API keys and `fetch`
+ *
+ * Example, pointing at a local OrthoDB mirror with Node's `fetch`:
+ *
+ *   const client = createHomologyClient({
+ *     endpoints: {orthodb: 'http://localhost:5000/orthodb/'},
+ *     apiKeys: {ncbi: 'my-ncbi-api-key'},
+ *     fetch: require('node-fetch'),
+ *     cache: createIndexedDbCache()
+ *   });
+ *   const orthologs = await client.fetchOrthologs(
+ *     ['MTOR'], 'homo sapiens', ['mus musculus']
+ *   );
+ */
+function createHomologyClient(options={}) {
+  const config = getConfig(options)
+
+  /**
+   * Fetch orthologs of genes in a source organism, in target organisms
+   *
+   * Genes lacking orthologs in some target organisms have none listed in
+   * those.  Genes lacking orthologs in all of them reject the call with
+   * TargetNotFoundError; see `streamOrthologs` to keep other genes' results.
+   *
+   * @param {Array} genes Gene symbols, e.g. ["MTOR"].  OrthoDB, OMA and local
+   *   also accept stable IDs, e.g. "ENSG00000198793" or {ncbiGeneId:
+   *   "2475"}; other backends reject them.  See gene-input.js.
+   * @param {String} sourceOrg Source organism, e.g. "homo sapiens",
+   *   "Homo sapiens", "human", or 9606.  Organisms missing from the bundled
+   *   taxonomy are looked up in NCBI Taxonomy; see organism.js.
+   * @param {Array} targetOrgs Target organisms, e.g. ["mus musculus"]
+   * @param {Object|String} options Options, or just the `api` option
+   * @param {String|Array} options.api Backend: "orthodb" (default), "oma",
+   *   "ensembl", "ncbi", "panther", or "local" for an offline index of
+   *   OrthoDB files (see local.js).  An array of backends, or
+   *   "consensus" for OrthoDB and OMA, merges results from each backend.
+   * @param {String} options.orthologType For PANTHER: "LDO" for least
+   *   diverged orthologs (default), or "all"
+   * @param {String|Array} options.only Keep only targets with this
+   *   relationship, e.g. "one-to-one".  See relationship.js.
+   * @param {Object} options.assembly Genome assembly for coordinates, by
+   *   organism, e.g. {"homo sapiens": "GRCh37"}.  See assembly.js.
+   * @param {AbortSignal} options.signal Signal that cancels all requests for
+   *   this call, which then rejects with an AbortError
+   * @param {Function} options.onProgress Called with {phase, backend} as
+   *   each phase of work starts.  See progress.js.
+   * @param {Boolean} options.groupByTarget Return an object with results
+   *   for each target organism, e.g. {"mus musculus": [[MTOR, Mtor]]},
+   *   rather than one list with targets in all organisms
+   */
+  async function fetchOrthologs(genes, sourceOrg, targetOrgs, options) {
+    const call = await prepareCall(sourceOrg, targetOrgs, options)
+    const orthologs = await fetchForCall(genes, call)
+    if (!call.options.groupByTarget) return orthologs
+    return groupByTarget(orthologs, call.targetOrgs)
+  }
+
+  /**
+   * Validate and resolve organisms and options, e.g. "human" to
+   * "homo sapiens", rejecting with InvalidInputError if any is invalid
+   */
+  async function prepareCall(sourceOrg, targetOrgs, options) {
+    options = getOptions(options)
+    const callConfig = getCallConfig(config, options.signal)
+    if (usesLocalIndex(options.api)) await registerIndexedOrganisms(config)
+    sourceOrg = await fetchOrganism(sourceOrg, callConfig)
+    targetOrgs = await Promise.all(targetOrgs.map(targetOrg => {
+      return fetchOrganism(targetOrg, callConfig)
+    }))
+    options.assembly = resolveAssemblyOption(options.assembly)
+    const kept = options.only ? parseRelationshipFilter(options.only) : null
+    const fetchFromBackends = getOrthologFetcher(options.api)
+
+    return {
+      sourceOrg, targetOrgs, options, callConfig, kept, fetchFromBackends
+    }
+  }
+
+  /** Fetch orthologs of genes, for a call from `prepareCall` */
+  async function fetchForCall(genes, call, options=call.options) {
+    const {sourceOrg, targetOrgs, callConfig, kept} = call
+
+    const orthologs = await call.fetchFromBackends(
+      genes, sourceOrg, targetOrgs, callConfig, options
+    )
+
+    return kept ? filterByRelationship(orthologs, kept) : orthologs
+  }
+
+  /**
+   * Stream orthologs of genes, yielding each gene's result when it is ready
+   *
+   * Takes the same arguments as `fetchOrthologs`.  Genes are queried in
+   * batches, a few batches at a time.  If a batch fails, its genes are
+   * retried one by one, so one gene's failure does not lose the others'
+   * results.  Returns an async iterable of events, in the order they happen:
+   *
+   *   {type: 'progress', gene, index, phase, backend}
+   *   {type: 'result', gene, index, ortholog}
+   *   {type: 'error', gene, index, error}
+   *
+   * `index` is the gene's index in `genes`, and `ortholog` is as each item
+   * returned by `fetchOrthologs`.  Each phase is reported once per gene, even
+   * if the gene is retried.  Invalid organisms or options make iteration
+   * throw InvalidInputError, as organisms may be looked up in NCBI Taxonomy.
+   * If `options.signal` is aborted, iteration throws an AbortError.
+   * Stopping iteration early, e.g. via `break`, cancels pending requests.
+   *
+   * Example:
+   *
+   *   const events = client.streamOrthologs(genes, 'human', ['mouse'])
+   *   for await (const event of events) {
+   *     if (event.type === 'result') render(event.ortholog)
+   *   }
+   */
+  function streamOrthologs(genes, sourceOrg, targetOrgs, options) {
+    // Cancels requests if the caller aborts, or stops iterating
+    const controller = new AbortController()
+    const queue = createAsyncQueue(() => controller.abort())
+    const abort = () => controller.abort()
+
+    // Listen before any await, as aborting fires no event for later listeners
+    const signal = options?.signal
+    if (signal?.aborted) abort()
+    signal?.addEventListener('abort', abort, {once: true})
+
+    prepareCall(sourceOrg, targetOrgs, options).then(call => {
+      call.callConfig = {...call.callConfig, signal: controller.signal}
+      return streamForCall(genes, call, queue, controller.signal)
+    }).then(() => queue.end(), error => queue.fail(error)).finally(() => {
+      signal?.removeEventListener('abort', abort)
+    })
+
+    return queue
+  }
+
+  /** Push events for each gene to `queue`, for a call from `prepareCall` */
+  async function streamForCall(genes, call, queue, signal) {
+    const items = genes.map((gene, index) => {
+      return {gene, index, label: getGeneLabel(gene), phases: new Set()}
+    })
+
+    /** Fetch orthologs of items' genes, reporting progress for each gene */
+    function fetchItems(items) {
+      const onProgress = event => {
+        items.forEach(({index, label, phases}) => {
+          if (phases.has(event.phase)) return
+          phases.add(event.phase)
+          queue.push({type: 'progress', gene: label, index, ...event})
+        })
+      }
+      const genes = items.map(item => item.gene)
+      return fetchForCall(genes, call, {...call.options, onProgress})
+    }
+
+    /** Fetch a batch, retrying its genes one by one if it fails */
+    async function streamBatch(batch) {
+      // Cached responses need no requests, which would notice an abort
+      if (signal.aborted) throw getAbortError(signal)
+      try {
+        const orthologs = await fetchItems(batch)
+        batch.forEach(({index, label}, i) => {
+          const ortholog = orthologs[i]
+          queue.push({type: 'result', gene: label, index, ortholog})
+        })
+      } catch (error) {
+        if (signal.aborted) throw getAbortError(signal)
+        if (batch.length > 1) {
+          const single = item => streamBatch([item])
+          return await mapConcurrently(batch, single, config.concurrency)
+        }
+        const [{index, label}] = batch
+        queue.push({type: 'error', gene: label, index, error})
+      }
+    }
+
+    const batches = chunk(items, config.batchSizes.stream)
+    await mapConcurrently(batches, streamBatch, config.concurrency)
+  }
+
+  /**
+   * Fetch paralogs of genes, i.e. homologs within the same organism
+   *
+   * Output has the same shape as `fetchOrthologs`: for each gene, an array
+   * of the gene followed by its paralogs.  Options are as for
+   * `fetchOrthologs`, but only `api`, `assembly` and `signal` apply.
+   */
+  async function fetchParalogs(
+    genes, org, {api='orthodb', assembly, signal}={}
+  ) {
+    const fetchFromBackend = getBackend(paralogBackends, api)
+    const callConfig = getCallConfig(config, signal)
+    if (api === 'local') await registerIndexedOrganisms(config)
+    org = await fetchOrganism(org, callConfig)
+    const options = {assembly: resolveAssemblyOption(assembly)}
+    return await fetchFromBackend(genes, org, callConfig, options);
+  }
+
+  // Exposes e.g. `client.cache.keys()` and `client.cache.clear()`
+  const cache = config.cache
+
+  return {config, cache, fetchOrthologs, fetchParalogs, streamOrthologs}
+}
+
+const {fetchOrthologs, fetchParalogs, streamOrthologs} = createHomologyClient()
+
+export {createHomologyClient, fetchParalogs, streamOrthologs}
 export default fetchOrthologs
@@ -1,7 +1,37 @@
-import fetchOrthologs from './homology';
+import fetchOrthologs, {
+  createHomologyClient, fetchParalogs, streamOrthologs
+} from './homology';
+import {createMemoryCache, createIndexedDbCache} from './cache';
+import {resolveOrganism, fetchOrganism} from './organism';
+import {recordVersion} from './record';
+import {
+  toTsv, toCsv, toBed, toBedpe, toGff3, toIdeogramSynteny,
+  toIdeogramAnnotations
+} from './export';
+import {toOrthoXML, parseOrthoXML} from './orthoxml';
+import {findSyntenyBlocks} from './synteny';
+import {
+  HomologyError, GeneNotFoundError, OrthologsNotFoundError,
+  ParalogsNotFoundError, TargetNotFoundError, UpstreamError, InvalidInputError
+} from './error';
 
-// Enable references to fetchOrthologs when loaded via traditional script tag
-window.fetchOrthologs = fetchOrthologs;
+// Enable references to fetchOrthologs when loaded via traditional script tag.
+// Skipped in environments without `window`, e.g. Node and web workers.
+if (typeof window !== 'undefined') {
+  window.fetchOrthologs = fetchOrthologs;
+  window.fetchParalogs = fetchParalogs;
+  window.streamOrthologs = streamOrthologs;
+  window.createHomologyClient = createHomologyClient;
+}
 
 // Enable references to fetchOrthologs when imported as an ES6 module
+export {
+  createHomologyClient, fetchParalogs, streamOrthologs,
+  createMemoryCache, createIndexedDbCache, resolveOrganism, fetchOrganism,
+  recordVersion,
+  toTsv, toCsv, toBed, toBedpe, toGff3, toIdeogramSynteny,
+  toIdeogramAnnotations, toOrthoXML, parseOrthoXML, findSyntenyBlocks,
+  HomologyError, GeneNotFoundError, OrthologsNotFoundError,
+  ParalogsNotFoundError, TargetNotFoundError, UpstreamError, InvalidInputError
+};
 export default fetchOrthologs;
@@ -1,63 +1,170 @@
+import {defaultConfig} from './config';
+import {fetchCachedJson} from './cache';
+import {chunk, mapConcurrently} from './batch';
+import {hasAssemblyAccession, isDefaultAssembly} from './assembly';
+
 /**
- * Get genomic coordinates of a gene using its NCBI Gene ID
+ * Get URL for an NCBI E-utilities tool on a database, Gene by default
+ *
+ * Example, for tool "esummary" and params "id=3565955":
+ * https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esummary.fcgi?db=gene&retmode=json&id=3565955
  */
- export async function fetchAnnotsFromEUtils(ncbiGeneIds) {
-  const annots = []
+export function getEUtilsUrl(tool, params, config=defaultConfig, db='gene') {
+  const ncbiKey = config.apiKeys.ncbi
+  const apiKey = ncbiKey ? '&api_key=' + ncbiKey : '';
 
-  const apiKey = '&api_key=e7ce8adecd69d0457df7ec2ccbb704c4e709';
+  return (
+    config.endpoints.eutils + tool + '.fcgi' +
+    '?db=' + db + '&retmode=json' + apiKey + '&' + params
+  );
+}
 
-  const ncbiBase =
-    'https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esummary.fcgi' +
-    '?db=gene&retmode=json' + apiKey;
+/**
+ * Get NCBI Gene esummary records, as an object with `uids` and a record
+ * for each UID.  Long ID lists are split into batches, so URLs stay short.
+ */
+export async function fetchEUtilsSummaries(ncbiGeneIds, config=defaultConfig) {
+  const batches = chunk(ncbiGeneIds, config.batchSizes.eutils)
+  const results = await mapConcurrently(batches, async batch => {
+    const url = getEUtilsUrl('esummary', 'id=' + batch.join(','), config)
+    const data = await fetchCachedJson(url, 'eutils', config)
+    return data.result
+  }, config.concurrency)
 
-  // Example:
-  // https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esummary.fcgi?db=gene&retmode=json&id=3565955
-  const response = await fetch(ncbiBase + '&id=' + ncbiGeneIds.join(','))
-  const data = await response.json()
-  const result = data.result
-
-  result.uids.forEach(uid => {
-    const gene = result[uid]
-    const loc = gene.genomicinfo[0]
-
-    const annot = {
-      name: gene.name,
-      id: gene.uid
-    }
+  // Merge batches, keeping UIDs in request order
+  const merged = {uids: []}
+  results.forEach(({uids, ...records}) => {
+    merged.uids.push(...uids)
+    Object.assign(merged, records)
+  })
+  return merged
+}
 
-    if (loc) {
-      annot.chr = loc.chrloc,
-      annot.start = loc.chrstart,
-      annot.stop = loc.chrstop,
-      annot.location = annot.chr + ':' + annot.start + '-' + annot.stop
-    }
+/**
+ * Get placement of an NCBI Gene esummary record on an assembly
+ *
+ * `genomicinfo` has placements on the current assembly, and `locationhist`
+ * has those on each annotated assembly, including older ones.
+ */
+function getEUtilsPlacement(gene, assembly) {
+  const placements = [...gene.genomicinfo, ...(gene.locationhist || [])]
+  if (!assembly || isDefaultAssembly(assembly)) return gene.genomicinfo[0]
+  return placements.find(placement => {
+    return hasAssemblyAccession(assembly, placement.assemblyaccver)
+  })
+}
 
-    annots.push(annot)
+/**
+ * Transforms NCBI Gene esummary record into Ideogram annotation
+ *
+ * @param {Object} assembly Assembly to place gene on, from `getAssembly`;
+ *   default if absent
+ */
+export function parseAnnotFromEUtilsGene(gene, assembly=null) {
+  const loc = getEUtilsPlacement(gene, assembly)
+
+  const annot = {
+    name: gene.name,
+    id: gene.uid,
+    ncbiGeneId: gene.uid,
+    assembly: assembly?.name ?? null
+  }
+
+  if (loc) {
+    // NCBI positions are 0-based, unlike those from MyGene.info and Ensembl,
+    // and NCBI lists start after stop for genes on the minus strand
+    annot.chr = loc.chrloc || gene.chromosome
+    annot.start = Math.min(loc.chrstart, loc.chrstop) + 1
+    annot.stop = Math.max(loc.chrstart, loc.chrstop) + 1
+    annot.location = annot.chr + ':' + annot.start + '-' + annot.stop
+    annot.strand = loc.chrstart > loc.chrstop ? -1 : 1
+  }
+
+  return annot
+}
+
+/**
+ * Get genomic coordinates of a gene using its NCBI Gene ID
+ */
+ export async function fetchAnnotsFromEUtils(
+  ncbiGeneIds, config=defaultConfig, assembly=null
+) {
+  const result = await fetchEUtilsSummaries(ncbiGeneIds, config)
+  return result.uids.map(uid => {
+    return parseAnnotFromEUtilsGene(result[uid], assembly)
   })
+}
 
-  return annots
+/**
+ * Get MyGene.info scope and query term for a gene, given by symbol or
+ * stable ID.  Genes given by ID and already resolved to a symbol are
+ * queried by symbol, unless they have an Ensembl ID.
+ *
+ * Example: {ensemblId: "ENSG00000198793"} -> ["ensembl.gene", "ENSG00000198793"]
+ */
+function getMyGeneQuery(gene) {
+  if (gene.ensemblId) {
+    return ['ensembl.gene', gene.ensemblId]
+  } else if (gene.ncbiGeneId && !gene.name) {
+    // Genes given by ID, not yet resolved to a symbol
+    return ['entrezgene', gene.ncbiGeneId]
+  } else if (gene.uniprotId && !gene.name) {
+    return ['uniprot', gene.uniprotId]
+  }
+  return ['symbol', gene.name || gene]
 }
 
 /**
- * Queries MyGene.info API, returns parsed JSON
+ * Queries MyGene.info for many genes, returns a result for each match
+ *
+ * Genes are grouped by scope, e.g. "symbol" or "entrezgene", and sent in
+ * batches to the POST query endpoint, a few batches at a time.  Results
+ * note the term they match in `query`.  Terms without a match get a
+ * result with `notfound: true`.
  *
  * Docs:
- * https://docs.mygene.info/en/v3/
+ * https://docs.mygene.info/en/v3/doc/query_service.html#batch-queries-via-post
  *
- * Example:
- * https://mygene.info/v3/query?q=symbol:cdk2%20OR%20symbol:brca1&species=9606&fields=symbol,genomic_pos,name
+ * Example request body:
+ * q=CDK2,BRCA1&scopes=symbol&species=9606&fields=symbol,genomic_pos,name
  */
- async function fetchMyGeneInfo(queryString) {
-  const myGeneBase = 'https://mygene.info/v3/query';
-  const response = await fetch(myGeneBase + queryString + '&size=20');
-  const data = await response.json();
-  return data;
+async function fetchMyGeneResults(genes, taxid, fields, config) {
+  const termsByScope = {}
+  genes.forEach(gene => {
+    const [scope, term] = getMyGeneQuery(gene)
+    if (!termsByScope[scope]) termsByScope[scope] = []
+    termsByScope[scope].push(term)
+  })
+
+  const requests = []
+  Object.entries(termsByScope).forEach(([scope, terms]) => {
+    chunk(terms, config.batchSizes.mygene).forEach(batch => {
+      requests.push({scope, terms: batch})
+    })
+  })
+
+  const url = config.endpoints.mygene + 'query'
+  const resultLists = await mapConcurrently(requests, ({scope, terms}) => {
+    const body = new URLSearchParams({
+      q: terms.join(','), scopes: scope, species: taxid, fields
+    }).toString()
+    return fetchCachedJson(url, 'mygene', config, {
+      method: 'POST',
+      headers: {'Content-Type': 'application/x-www-form-urlencoded'},
+      body
+    })
+  }, config.concurrency)
+
+  return resultLists.flat()
 }
 
 /**
  * Transforms MyGene.info (MGI) gene into Ideogram annotation
+ *
+ * @param {Object} assembly Assembly of positions, from `getAssembly`
  */
- function parseAnnotFromMgiGene(gene) {
+ function parseAnnotFromMgiGene(gene, assembly=null) {
+  const field = assembly?.myGeneField || 'genomic_pos'
 
   // Filters out placements on alternative loci scaffolds, an advanced
   // genome assembly feature we are not concerned with in ideograms.
@@ -65,10 +172,10 @@
   // Example:
   // https://mygene.info/v3/query?q=symbol:PTPRC&species=9606&fields=symbol,genomic_pos,name
   let genomicPos = null;
-  if (Array.isArray(gene.genomic_pos)) {
-    genomicPos = gene.genomic_pos.filter(pos => !pos.chr.includes('_'))[0];
+  if (Array.isArray(gene[field])) {
+    genomicPos = gene[field].filter(pos => !pos.chr.includes('_'))[0];
   } else {
-    genomicPos = gene.genomic_pos;
+    genomicPos = gene[field];
   }
 
   const annot = {
@@ -76,7 +183,12 @@
     chr: genomicPos.chr,
     start: genomicPos.start,
     stop: genomicPos.end,
-    id: genomicPos.ensemblgene
+    strand: genomicPos.strand,
+    id: genomicPos.ensemblgene,
+    ensemblId: genomicPos.ensemblgene,
+    // `_id` is an Ensembl ID for genes lacking an NCBI Gene ID
+    ncbiGeneId: gene.entrezgene ?? null,
+    assembly: assembly?.name ?? null
   };
 
   annot.location = annot.chr + ':' + annot.start + '-' + annot.stop
@@ -84,55 +196,77 @@
   return annot;
 }
 
-function getMyGeneInfoQueryString(genes, taxid) {
-  const qParam = genes.map(gene => {
-    if (gene.ensemblId) {
-      return `ensemblgene:${gene.ensemblId}`
-    } else {
-    // Escape genes, so e.g. the fly gene Su(H) becomes Su\(H\).
-    // https://mygene.info/v3/query?q=symbol:Su\(H\)&species=7227&fields=symbol,genomic_pos,name&size=20
-    // See https://github.com/biothings/mygene.info/issues/112.
-    if (gene.name) gene = gene.name
-    const escapedGene = gene.replace(/\(/g, '\\(').replace(/\)/g, '\\)')
-    return `symbol:${escapedGene}`;
-    }
-  }).join(' OR ');
+const defaultMyGeneFields = 'symbol,genomic_pos,name,exons,entrezgene'
 
-  // Example:
-  // https://mygene.info/v3/query?q=symbol:BRCA1&species=9606&fields=symbol,genomic_pos,name
-  return `?q=${qParam}&species=${taxid}&fields=symbol,genomic_pos,name,exons`;
+/**
+ * Fetch MyGene.info hits for genes, given by symbol or stable ID
+ *
+ * @param {String} fields Fields to return for each hit, e.g. "uniprot"
+ */
+export async function fetchMyGeneHits(genes, taxid, fields, config) {
+  const results = await fetchMyGeneResults(genes, taxid, fields, config)
+  return results.filter(result => !result.notfound)
 }
 
 /**
- * Fetch gene positions from MyGene.info (MGI), with NCBI as fallback
+ * Fetch gene positions from MyGene.info (MGI)
  *
- * MGI is fast but incomplete.  NCBI is slow but complete.  So try MGI
- * first, and fallback to the more robust but less speedy NCBI if MGI
- * results don't return adequate data.
+ * Returns annotations for genes MGI has positions for, and whether any
+ * genes lacked a hit or position.
+ *
+ * @param {Object} assembly Assembly to get positions on, from `getAssembly`;
+ *   default if absent
  */
-export async function fetchLocations(genes, taxid) {
-  let annots = [];
+export async function fetchMyGeneAnnots(
+  genes, taxid, config=defaultConfig, assembly=null
+) {
+  const annots = [];
+
+  // MGI lacks positions on some assemblies, e.g. GRCm38
+  if (assembly && !assembly.myGeneField) {
+    return {annots, insufficientData: true}
+  }
 
-  const queryString = getMyGeneInfoQueryString(genes, taxid)
-  const data = await fetchMyGeneInfo(queryString);
+  const field = assembly?.myGeneField || 'genomic_pos'
+  const fields = defaultMyGeneFields.replace('genomic_pos', field)
+  const results = await fetchMyGeneResults(genes, taxid, fields, config)
 
   let insufficientData = false
-  if (data.hits.length < genes.length) insufficientData = true
+  if (results.some(result => result.notfound)) insufficientData = true
 
-  data.hits.forEach(gene => {
+  results.filter(result => !result.notfound).forEach(gene => {
     // If hit lacks position or name/id, flag for fallback approach
     if (
-      'genomic_pos' in gene === false ||
+      field in gene === false ||
       ('name' in gene === false && '_id' in gene === false)
     ) {
       insufficientData = true
       return
     };
 
-    const annot = parseAnnotFromMgiGene(gene);
+    const annot = parseAnnotFromMgiGene(gene, assembly);
     annots.push(annot);
   });
 
+  return {annots, insufficientData}
+}
+
+/**
+ * Fetch gene positions from MyGene.info (MGI), with NCBI as fallback
+ *
+ * MGI is fast but incomplete.  NCBI is slow but complete.  So try MGI
+ * first, and fallback to the more robust but less speedy NCBI if MGI
+ * results don't return adequate data.
+ *
+ * @param {Object} assembly Assembly to get positions on, from `getAssembly`;
+ *   default if absent
+ */
+export async function fetchLocations(
+  genes, taxid, config=defaultConfig, assembly=null
+) {
+  let {annots, insufficientData} =
+    await fetchMyGeneAnnots(genes, taxid, config, assembly);
+
   // If MGI fails, try getting data from NCBI
   if (insufficientData) {
     if (typeof genes[0] === 'string' || 'ncbiGeneId' in genes[0] === false) {
@@ -140,7 +274,7 @@ export async function fetchLocations(genes, taxid) {
       throw Error('Enrichment needed')
     }
     const ncbiGeneIds = genes.map(gene => gene.ncbiGeneId)
-    annots = await fetchAnnotsFromEUtils(ncbiGeneIds)
+    annots = await fetchAnnotsFromEUtils(ncbiGeneIds, config, assembly)
   }
 
   return annots;
@@ -0,0 +1,222 @@
+/**
+ * @fileoverview Local index of OrthoDB flat files, for the "local" backend
+ *
+ * This is kept apart from local.js, so browser bundles do not depend on
+ * Node's `fs`, `readline` and `zlib` modules.  Build an index once from
+ * files at https://data.orthodb.org/download, e.g. for OrthoDB v11:
+ *
+ *   odb11v0_species.tab.gz
+ *   odb11v0_OG2genes.tab.gz
+ *   odb11v0_gene_xrefs.tab.gz
+ *
+ * then use it offline:
+ *
+ *   import {
+ *     buildLocalIndex, createLocalIndex
+ *   } from 'homology/src/local-index';
+ *   await buildLocalIndex({
+ *     dir: 'orthodb-index',
+ *     species: 'odb11v0_species.tab.gz',
+ *     og2genes: 'odb11v0_OG2genes.tab.gz',
+ *     geneXrefs: 'odb11v0_gene_xrefs.tab.gz',
+ *     orgs: ['homo sapiens', 'mus musculus']
+ *   });
+ *   const client = createHomologyClient({
+ *     localIndex: createLocalIndex({dir: 'orthodb-index'})
+ *   });
+ *
+ * The index has a JSON file per organism, listing each gene's OrthoDB ID,
+ * name, stable IDs, InterPro domains and orthogroups.  Files are read whole,
+ * so building and querying take memory in proportion to the genes of the
+ * organisms indexed or queried.
+ */
+
+import {createReadStream, promises as fs} from 'fs';
+import path from 'path';
+import {createInterface} from 'readline';
+import {createGunzip} from 'zlib';
+
+import {InvalidInputError} from './error';
+import {normalizeOrganism, getTaxid} from './organism';
+
+// Incremented when the index format changes incompatibly
+const indexVersion = 1
+
+/**
+ * Call `callback` with the fields of each line in a TSV file, which may be
+ * gzipped.  Lines are streamed, as OrthoDB files can be gigabytes.
+ */
+async function forEachRow(filePath, callback) {
+  let stream = createReadStream(filePath)
+  if (filePath.endsWith('.gz')) stream = stream.pipe(createGunzip())
+  const lines = createInterface({input: stream, crlfDelay: Infinity})
+  for await (const line of lines) {
+    if (line && !line.startsWith('#')) callback(line.split('\t'))
+  }
+}
+
+/** E.g. "9606_0:002b4e" -> "9606_0" */
+function getOrthodbOrgId(geneId) {
+  return geneId.split(':')[0]
+}
+
+/**
+ * Build a local index from OrthoDB flat files
+ *
+ * Only genes in `orgs` are indexed.  Their genes are held in memory until
+ * written, so indexing all OrthoDB organisms at once is not supported.
+ * Organisms are found in the species file by taxid or scientific name, so
+ * any OrthoDB species can be indexed, and later queried without requests.
+ *
+ * @param {Object} options
+ * @param {String} options.dir Directory to write the index to
+ * @param {String} options.species Path to species file, e.g.
+ *   odb11v0_species.tab.gz: NCBI taxid, OrthoDB organism ID, name, ...
+ * @param {String} options.og2genes Path to orthogroup-to-gene file, e.g.
+ *   odb11v0_OG2genes.tab.gz: orthogroup ID, OrthoDB gene ID
+ * @param {String} options.geneXrefs Path to gene cross-reference file, e.g.
+ *   odb11v0_gene_xrefs.tab.gz: OrthoDB gene ID, external ID, database
+ * @param {Array} options.orgs Organisms to index, e.g. ["human", "mouse",
+ *   "Vulpes vulpes", 9627]
+ */
+export async function buildLocalIndex({
+  dir, species, og2genes, geneXrefs, orgs
+}) {
+  if (!orgs?.length) {
+    throw new InvalidInputError('Give organisms to index, e.g. ["human"]')
+  }
+  // Organisms not in the bundled taxonomy have a null taxid until found
+  const requests = orgs.map(org => {
+    return {org, name: normalizeOrganism(org), taxid: getTaxid(org)}
+  })
+
+  // OrthoDB organism IDs, e.g. "9606_0", mapped to NCBI taxids
+  const taxidsByOrgId = {}
+  const names = {}
+  const found = new Set()
+  await forEachRow(species, ([taxid, orgId, name]) => {
+    name = name.toLowerCase()
+    const matches = requests.filter(request => {
+      return request.taxid === taxid || request.name === name
+    })
+    if (matches.length === 0) return
+    matches.forEach(request => found.add(request))
+    taxidsByOrgId[orgId] = taxid
+    names[taxid] = name
+  })
+  const missing = requests.find(request => !found.has(request))
+  if (missing) {
+    throw new InvalidInputError(
+      `Organism "${missing.org}" is not in OrthoDB species file`
+    )
+  }
+
+  // Genes by OrthoDB gene ID, as
+  // [id, name, ensemblId, ncbiGeneId, uniprotId, domains, orthogroups]
+  const genes = new Map()
+  await forEachRow(og2genes, ([og, geneId]) => {
+    if (!(getOrthodbOrgId(geneId) in taxidsByOrgId)) return
+    if (!genes.has(geneId)) {
+      genes.set(geneId, [geneId, null, null, null, null, [], []])
+    }
+    genes.get(geneId)[6].push(og)
+  })
+
+  const aliases = {}
+  await forEachRow(geneXrefs, ([geneId, externalId, database]) => {
+    const gene = genes.get(geneId)
+    if (!gene) return
+    if (database === 'NCBIgenename') {
+      if (!(geneId in aliases)) aliases[geneId] = []
+      aliases[geneId].push(externalId)
+    }
+    if (database === 'ENSEMBL' && !gene[2]) gene[2] = externalId
+    if (database === 'NCBIgid' && !gene[3]) gene[3] = externalId
+    if (database === 'UniProt' && !gene[4]) gene[4] = externalId
+    if (database === 'InterPro') gene[5].push(externalId)
+  })
+
+  // Names are semicolon-delimited aliases, as in OrthoDB SPARQL
+  const genesByTaxid = {}
+  Object.values(taxidsByOrgId).forEach(taxid => genesByTaxid[taxid] = [])
+  genes.forEach(gene => {
+    const id = gene[0]
+    gene[1] = aliases[id]?.join(';') || gene[2] || gene[3] || id
+    genesByTaxid[taxidsByOrgId[getOrthodbOrgId(id)]].push(gene)
+  })
+
+  await fs.mkdir(dir, {recursive: true})
+  await Promise.all(Object.entries(genesByTaxid).map(([taxid, genes]) => {
+    const json = JSON.stringify({taxid, name: names[taxid], genes})
+    return fs.writeFile(path.join(dir, taxid + '.json'), json)
+  }))
+  const manifest = {version: indexVersion, organisms: names}
+  await fs.writeFile(path.join(dir, 'index.json'), JSON.stringify(manifest))
+}
+
+/** Parse an organism's index file into lookups used by local.js */
+function parseOrganism({taxid, name, genes}) {
+  const genesById = new Map()
+  const genesByOg = new Map()
+  genes.forEach(fields => {
+    const [id, geneName, ensemblId, ncbiGeneId, uniprotId, domains, ogs] =
+      fields
+    const gene = {
+      id, name: geneName, ensemblId, ncbiGeneId, uniprotId, domains, ogs
+    }
+    genesById.set(id, gene)
+    ogs.forEach(og => {
+      if (!genesByOg.has(og)) genesByOg.set(og, [])
+      genesByOg.get(og).push(gene)
+    })
+  })
+  return {taxid, name, genes: [...genesById.values()], genesById, genesByOg}
+}
+
+/**
+ * Open a local index built by `buildLocalIndex`, to pass as `localIndex` to
+ * `createHomologyClient`.  Organisms are read from disk when first queried,
+ * then kept in memory, parsed whole, for later queries.
+ *
+ * @param {Object} options
+ * @param {String} options.dir Directory of the index
+ */
+export function createLocalIndex({dir}) {
+  let manifestPromise
+  const organismPromises = {}
+
+  async function readManifest() {
+    const manifest =
+      JSON.parse(await fs.readFile(path.join(dir, 'index.json'), 'utf8'))
+    if (manifest.version !== indexVersion) {
+      throw new InvalidInputError(
+        `Local index in "${dir}" has version ${manifest.version}, but ` +
+        `version ${indexVersion} is needed.  Rebuild it.`
+      )
+    }
+    return manifest
+  }
+
+  /** Get names of indexed organisms, by taxid */
+  async function getOrganisms() {
+    if (!manifestPromise) manifestPromise = readManifest()
+    return (await manifestPromise).organisms
+  }
+
+  async function readOrganism(taxid) {
+    if (!(taxid in await getOrganisms())) return null
+    const file = path.join(dir, taxid + '.json')
+    return parseOrganism(JSON.parse(await fs.readFile(file, 'utf8')))
+  }
+
+  /** Get an organism's genes, or null if it is not indexed */
+  function getOrganism(taxid) {
+    taxid = String(taxid)
+    if (!(taxid in organismPromises)) {
+      organismPromises[taxid] = readOrganism(taxid)
+    }
+    return organismPromises[taxid]
+  }
+
+  return {dir, getOrganisms, getOrganism}
+}
@@ -0,0 +1,288 @@
+/**
+ * @fileoverview Offline backend, using a local index of OrthoDB flat files
+ *
+ * For hosts without network access, e.g. air-gapped HPC nodes.  Build an
+ * index with `buildLocalIndex` in local-index.js, then give it to a client:
+ *
+ *   const client = createHomologyClient({
+ *     localIndex: createLocalIndex({dir: 'orthodb-index'})
+ *   });
+ *   const orthologs = await client.fetchOrthologs(
+ *     ['MTOR'], 'human', ['mouse'], {api: 'local'}
+ *   );
+ *
+ * Queries are answered as by the OrthoDB SPARQL backend: matching genes are
+ * turned into SPARQL-like results, which are read as in orthodb.js.  So
+ * names are canonicalized and aliases resolved in the same way.  OrthoDB
+ * files lack coordinates, so records have none, and `assembly` is
+ * unsupported.
+ */
+
+import {getTaxid, registerOrganism} from './organism';
+import {
+  reportError, reportMissingTargets, InvalidInputError
+} from './error';
+import {defaultConfig} from './config';
+import {reportProgress} from './progress';
+import {parseGeneInput, getGeneLabel} from './gene-input';
+import {createRecord} from './record';
+import {getOrthologMap, sortTargetGenes, classifyTarget} from './orthodb';
+
+/**
+ * Register organisms in the local index, if any, so that resolving them
+ * needs no NCBI Taxonomy request, as offline hosts cannot make one
+ */
+export async function registerIndexedOrganisms(config) {
+  if (!config.localIndex) return
+  const organisms = await config.localIndex.getOrganisms()
+  Object.entries(organisms).forEach(([taxid, name]) => {
+    registerOrganism(name, taxid)
+  })
+}
+
+/** Get an organism from the local index, throwing if it is not indexed */
+async function getIndexedOrganism(org, config) {
+  if (!config.localIndex) {
+    throw new InvalidInputError(
+      'The local API needs a `localIndex`; see local-index.js',
+      {backend: 'local'}
+    )
+  }
+  const organism = await config.localIndex.getOrganism(getTaxid(org))
+  if (!organism) {
+    throw new InvalidInputError(
+      `Organism "${org}" is not in the local index`, {backend: 'local'}
+    )
+  }
+  return organism
+}
+
+/** Throw if the `assembly` option is given, as the index has no locations */
+function checkAssemblyOption(orgs, options) {
+  const org = orgs.find(org => options.assembly?.[org])
+  if (org) {
+    throw new InvalidInputError(
+      `The local backend does not support the assembly option, ` +
+      `given for organism "${org}"`,
+      {backend: 'local'}
+    )
+  }
+}
+
+/**
+ * Resolve gene inputs to symbols.  Genes given by stable ID are looked up
+ * in the index, and their OrthoDB gene IDs noted in `idsBySymbol`.
+ */
+function resolveInputs(genes, source, details) {
+  const idsBySymbol = {}
+  const symbols = genes.map(gene => {
+    const input = parseGeneInput(gene)
+    if (typeof input === 'string') return input
+
+    const match = source.genes.find(gene => {
+      return (
+        (input.ensemblId && gene.ensemblId === input.ensemblId) ||
+        (input.ncbiGeneId && gene.ncbiGeneId === input.ncbiGeneId) ||
+        (input.uniprotId && gene.uniprotId === input.uniprotId)
+      )
+    })
+    if (!match) {
+      reportError('geneNotFound', {...details, gene: getGeneLabel(gene)})
+    }
+
+    const symbol = match.name.split(';')[0]
+    idsBySymbol[symbol.toLowerCase()] = match.id
+    return symbol
+  })
+  return {symbols, idsBySymbol}
+}
+
+/** Escape special characters in a string, to match it in a RegExp */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Get source genes whose names match queried symbols, as in the SPARQL
+ * query's `regex(?gene_s_name, "(^;?A|B;?)", "i")` filter
+ *
+ * Genes given by ID only match the gene with that ID, as in orthodb.js's
+ * `filterResultsByIds`.
+ */
+function getSourceGenes(symbols, idsBySymbol, source) {
+  const regex =
+    new RegExp('(^;?' + symbols.map(escapeRegExp).join('|') + ';?)', 'i')
+  return source.genes.filter(gene => {
+    if (!regex.test(gene.name)) return false
+    const names = gene.name.toLowerCase().split(';')
+    const symbol = names.find(name => name in idsBySymbol)
+    return !symbol || idsBySymbol[symbol] === gene.id
+  })
+}
+
+/** E.g. "9606_0:002b4e" -> http://purl.orthodb.org/odbgene/9606_0_002b4e */
+function getGeneUri(id) {
+  return {value: 'http://purl.orthodb.org/odbgene/' + id.replace(':', '_')}
+}
+
+/**
+ * Get SPARQL-like results for homologs of source genes in target organisms
+ *
+ * A gene pair shares orthogroups at several taxonomic levels.  Like SPARQL,
+ * each shared orthogroup yields a result, and `classifyTarget` in orthodb.js
+ * counts genes at the most specific one.
+ */
+function getBindings(sourceGenes, targets, isParalogQuery) {
+  const bindings = []
+  sourceGenes.forEach(sourceGene => {
+    sourceGene.ogs.forEach(og => {
+      targets.forEach(target => {
+        const targetGenes = target.genesByOg.get(og) || []
+        targetGenes.forEach(targetGene => {
+          if (isParalogQuery && targetGene.id === sourceGene.id) return
+          bindings.push({
+            og: {value: 'http://purl.orthodb.org/odbgroup/' + og},
+            gene_s: getGeneUri(sourceGene.id),
+            gene_t: getGeneUri(targetGene.id),
+            gene_s_name: {value: sourceGene.name},
+            gene_t_name: {value: targetGene.name},
+            taxon_t: {value: 'http://purl.uniprot.org/taxonomy/' + target.taxid}
+          })
+        })
+      })
+    })
+  })
+  return bindings
+}
+
+/** Get a record's stable IDs from an indexed gene */
+function getIds(gene) {
+  return {
+    orthodbId: gene.id,
+    ensemblId: gene.ensemblId,
+    ncbiGeneId: gene.ncbiGeneId,
+    uniprotId: gene.uniprotId
+  }
+}
+
+/**
+ * Find orthologs or paralogs in the local index.  Results are as from
+ * `fetchHomologsFromOrthodbSparql`, but without coordinates.
+ */
+async function fetchHomologsFromLocal(
+  genes, sourceOrg, targetOrgs, config, options, isParalogQuery
+) {
+  checkAssemblyOption([sourceOrg, ...targetOrgs], options)
+  reportProgress(options, 'query', 'local')
+
+  const sourceTaxid = getTaxid(sourceOrg)
+  const targetTaxids = targetOrgs.map(getTaxid)
+  const details = {sourceOrg, targetOrgs, backend: 'local'}
+
+  const source = await getIndexedOrganism(sourceOrg, config)
+  const targets = await Promise.all(
+    targetOrgs.map(org => getIndexedOrganism(org, config))
+  )
+
+  const {symbols, idsBySymbol} = resolveInputs(genes, source, details)
+  const sourceGenes = getSourceGenes(symbols, idsBySymbol, source)
+  const bindings = getBindings(sourceGenes, targets, isParalogQuery)
+
+  const notFound = isParalogQuery ? 'paralogsNotFound' : 'orthologsNotFound'
+  const notFoundInTarget =
+    isParalogQuery ? 'paralogsNotFound' : 'orthologsNotFoundInTarget'
+
+  if (bindings.length === 0) {
+    reportError(notFound, {...details, gene: symbols.join(', ')})
+  }
+
+  const map = getOrthologMap(symbols, {results: {bindings}}, targetTaxids)
+
+  Object.entries(map.orthologMap).forEach(([gene, targets]) => {
+    const foundOrgs =
+      targets.map(target => targetOrgs[targetTaxids.indexOf(target.taxid)])
+    reportMissingTargets(foundOrgs, {...details, gene}, notFoundInTarget)
+  })
+
+  // Add IDs and domains, which the index has for all genes
+  const getIndexedGene = (organism, id) => organism.genesById.get(id)
+  const sources = {}
+  Object.entries(map.sources).forEach(([name, {id}]) => {
+    sources[name] = getIndexedGene(source, id)
+  })
+
+  // Count source genes in each orthogroup, as for OrthoDB's SPARQL API
+  const sourceCountsByOg = {}
+  Object.values(map.orthologMap).flat().forEach(target => {
+    target.ogs.forEach(og => {
+      sourceCountsByOg[og] = source.genesByOg.get(og)?.length || 0
+    })
+  })
+
+  return Object.entries(map.orthologMap).map(([sourceName, targetGenes]) => {
+    const sourceGene = sources[sourceName]
+    const ortholog = [createRecord({
+      ...getIds(sourceGene),
+      name: sourceName,
+      org: sourceOrg,
+      taxid: sourceTaxid,
+      backend: 'local'
+    })]
+
+    targetGenes = targetGenes.map(targetGene => {
+      const target = targets[targetTaxids.indexOf(targetGene.taxid)]
+      const {domains} = getIndexedGene(target, targetGene.id)
+      return {...targetGene, domains}
+    })
+    targetGenes = sortTargetGenes(targetGenes, sourceName, sources)
+
+    targetOrgs.forEach((targetOrg, i) => {
+      const taxid = targetTaxids[i]
+      const theseTargetGenes =
+        targetGenes.filter(targetGene => targetGene.taxid === taxid)
+
+      theseTargetGenes.forEach(targetGene => {
+        const indexedGene = getIndexedGene(targets[i], targetGene.id)
+        ortholog.push(createRecord({
+          ...getIds(indexedGene),
+          name: targetGene.name,
+          org: targetOrg,
+          taxid,
+          backend: 'local',
+          relationship: isParalogQuery ? null :
+            classifyTarget(targetGene, targetGenes, sourceCountsByOg)
+        }))
+      })
+    })
+
+    return ortholog
+  })
+}
+
+/**
+ * Fetch orthologs of genes in a source organism, from a local index
+ *
+ * @param {Object} config Configuration, whose `localIndex` is as returned by
+ *   `createLocalIndex` in local-index.js
+ */
+async function fetchOrthologsFromLocal(
+  genes, sourceOrg, targetOrgs, config=defaultConfig, options={}
+) {
+  return await fetchHomologsFromLocal(
+    genes, sourceOrg, targetOrgs, config, options, false
+  )
+}
+
+/**
+ * Fetch paralogs of genes, i.e. other members of their orthogroups in the
+ * same organism, from a local index
+ */
+async function fetchParalogsFromLocal(
+  genes, org, config=defaultConfig, options={}
+) {
+  return await fetchHomologsFromLocal(
+    genes, org, [org], config, options, true
+  )
+}
+
+export {fetchOrthologsFromLocal, fetchParalogsFromLocal}
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Client library for NCBI Orthologs
+ * API docs: https://www.ncbi.nlm.nih.gov/books/NBK25499/
+ *
+ * This module supports fetching NCBI's curated orthologs, via E-utilities.
+ * Gene symbols are resolved to NCBI Gene IDs with esearch, orthologs are
+ * linked with elink, and locations come from esummary.
+ */
+
+import {getTaxid} from './organism';
+import {getGeneSymbols} from './gene-input';
+import {reportError, reportMissingTargets} from './error';
+import {defaultConfig} from './config';
+import {fetchCachedJson} from './cache';
+import {createRecord} from './record';
+import {getAssembly} from './assembly';
+import {mapConcurrently} from './batch';
+import {reportProgress} from './progress';
+import {
+  getEUtilsUrl, fetchEUtilsSummaries, parseAnnotFromEUtilsGene
+} from './lib';
+
+/**
+ * Get NCBI Gene ID for a gene symbol in an organism
+ *
+ * Example:
+ * https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esearch.fcgi?db=gene&retmode=json&term=MTOR[sym]+AND+9606[taxid]
+ */
+async function fetchNcbiGeneId(gene, taxid, config) {
+  const term = encodeURIComponent(`${gene}[sym] AND ${taxid}[taxid]`)
+  const url = getEUtilsUrl('esearch', 'term=' + term, config)
+  const data = await fetchCachedJson(url, 'eutils', config)
+  return data.esearchresult.idlist[0]
+}
+
+/**
+ * Get NCBI Gene IDs of curated orthologs of a gene, in any organism
+ *
+ * Example:
+ * https://eutils.ncbi.nlm.nih.gov/entrez/eutils/elink.fcgi?db=gene&retmode=json&dbfrom=gene&linkname=gene_gene_orthologs&id=2475
+ */
+async function fetchNcbiOrthologIds(ncbiGeneId, config) {
+  const params = 'dbfrom=gene&linkname=gene_gene_orthologs&id=' + ncbiGeneId
+  const url = getEUtilsUrl('elink', params, config)
+  const data = await fetchCachedJson(url, 'eutils', config)
+
+  const linksetdb = data.linksets[0].linksetdbs?.find(linksetdb => {
+    return linksetdb.linkname === 'gene_gene_orthologs'
+  })
+
+  return linksetdb ? linksetdb.links.map(String) : []
+}
+
+/**
+ * Given genes in a source organism, retrieve their curated orthologs in
+ * other organisms from NCBI.
+ *
+ * Each returned ortholog is an array of the source gene, followed by its
+ * target genes grouped per target organism, as in the OrthoDB backend.
+ *
+ * @param {Object} options
+ * @param {Object} options.assembly Assembly names by organism, e.g.
+ *   {"homo sapiens": "GRCh37"}; see assembly.js
+ */
+async function fetchOrthologsFromNcbi(
+  genes, sourceOrg, targetOrgs, config=defaultConfig, options={}
+) {
+  genes = getGeneSymbols(genes, 'ncbi')
+  const sourceTaxid = getTaxid(sourceOrg)
+  const targetTaxids = targetOrgs.map(getTaxid)
+
+  const sourceAssembly = getAssembly(sourceOrg, options.assembly?.[sourceOrg])
+  const targetAssemblies = targetOrgs.map(targetOrg => {
+    return getAssembly(targetOrg, options.assembly?.[targetOrg])
+  })
+
+  reportProgress(options, 'query', 'ncbi')
+
+  // Query genes in parallel, a few at a time
+  const orthologIdsByGene = await mapConcurrently(genes, async gene => {
+    const details = {gene, sourceOrg, targetOrgs, backend: 'ncbi'}
+
+    const id = await fetchNcbiGeneId(gene, sourceTaxid, config)
+    if (typeof id === 'undefined') reportError('geneNotFound', details)
+
+    const orthologIds = await fetchNcbiOrthologIds(id, config)
+    if (orthologIds.length === 0) reportError('orthologsNotFound', details)
+
+    return {gene, id, orthologIds, details}
+  }, config.concurrency)
+
+  // Get summaries for all source genes and orthologs, in batches
+  let ids = []
+  orthologIdsByGene.forEach(({id, orthologIds}) => {
+    ids.push(id)
+    ids = ids.concat(orthologIds.filter(orthologId => orthologId !== id))
+  })
+  reportProgress(options, 'locations', 'ncbi')
+  const summaries = await fetchEUtilsSummaries(ids, config)
+
+  return orthologIdsByGene.map(({gene, id, orthologIds, details}) => {
+    const sourceAnnot = parseAnnotFromEUtilsGene(summaries[id], sourceAssembly)
+    const source = createRecord({
+      ...sourceAnnot, org: sourceOrg, taxid: sourceTaxid, backend: 'ncbi'
+    }, {id: sourceAnnot.id})
+    const ortholog = [source]
+
+    targetOrgs.forEach((targetOrg, i) => {
+      orthologIds
+        .map(orthologId => summaries[orthologId])
+        .filter(summary => {
+          return summary && String(summary.organism.taxid) === targetTaxids[i]
+        })
+        .forEach(summary => {
+          const annot =
+            parseAnnotFromEUtilsGene(summary, targetAssemblies[i])
+          const target = createRecord({
+            ...annot, org: targetOrg, taxid: targetTaxids[i], backend: 'ncbi'
+          }, {id: annot.id})
+          ortholog.push(target)
+        })
+    })
+
+    reportMissingTargets(ortholog.slice(1).map(target => target.org), details)
+
+    return ortholog
+  })
+}
+
+export default fetchOrthologsFromNcbi;
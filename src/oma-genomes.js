@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Bundled snapshot of OMA genome codes, for offline use
+ *
+ * OMA prefixes protein IDs with a 5-letter genome code, e.g. "RATNO" in
+ * "RATNO03710".  These are mostly UniProt species codes, padded or
+ * disambiguated where needed (e.g. "PIGXX").  Organisms not listed here are
+ * looked up via OMA's genome API.
+ *
+ * Source: https://omabrowser.org/api/genome/
+ */
+
+export const omaGenomeCodesByName = {
+  'aedes aegypti': 'AEDAE',
+  'anopheles gambiae': 'ANOGA',
+  'arabidopsis thaliana': 'ARATH',
+  'aspergillus fumigatus': 'ASPFU',
+  'bos taurus': 'BOVIN',
+  'brachypodium distachyon': 'BRADI',
+  'caenorhabditis briggsae': 'CAEBR',
+  'caenorhabditis elegans': 'CAEEL',
+  'callithrix jacchus': 'CALJA',
+  'canis lupus familiaris': 'CANLF',
+  'chlorocebus sabaeus': 'CHLSB',
+  'ciona intestinalis': 'CIOIN',
+  'culex quinquefasciatus': 'CULQU',
+  'danio rerio': 'DANRE',
+  'dictyostelium discoideum': 'DICDI',
+  'drosophila melanogaster': 'DROME',
+  'equus caballus': 'HORSE',
+  'felis catus': 'FELCA',
+  'gallus gallus': 'CHICK',
+  'gasterosteus aculeatus': 'GASAC',
+  'glycine max': 'SOYBN',
+  'gorilla gorilla': 'GORGO',
+  'homo sapiens': 'HUMAN',
+  'hordeum vulgare': 'HORVV',
+  'macaca mulatta': 'MACMU',
+  'monodelphis domestica': 'MONDO',
+  'mus musculus': 'MOUSE',
+  'musa acuminata': 'MUSAM',
+  'neurospora crassa': 'NEUCR',
+  'ornithorhynchus anatinus': 'ORNAN',
+  'oryza sativa': 'ORYSJ',
+  'oryzias latipes': 'ORYLA',
+  'pan paniscus': 'PANPA',
+  'pan troglodytes': 'PANTR',
+  'plasmodium falciparum': 'PLAF7',
+  'pongo abelii': 'PONAB',
+  'rattus norvegicus': 'RATNO',
+  'saccharomyces cerevisiae': 'YEAST',
+  'schizosaccharomyces pombe': 'SCHPO',
+  'solanum lycopersicum': 'SOLLC',
+  'sus scrofa': 'PIGXX',
+  'takifugu rubripes': 'TAKRU',
+  'vitis vinifera': 'VITVI',
+  'xenopus tropicalis': 'XENTR',
+  'zea mays': 'MAIZE'
+}
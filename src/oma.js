@@ -6,15 +6,26 @@
  * support the single exported function `fetchOrthologsFromOma`.
  */
 
-import {reportError} from './error';
-
-var omaBase = 'https://omabrowser.org/api';
+import {
+  reportError, reportMissingTargets, InvalidInputError
+} from './error';
+import {defaultConfig} from './config';
+import {fetchResponse, parseJson, isRequestError} from './request';
+import {getTaxid} from './organism';
+import {omaGenomeCodesByName} from './oma-genomes';
+import {createRecord} from './record';
+import {getOmaRelationship} from './relationship';
+import {mapConcurrently} from './batch';
+import {reportProgress} from './progress';
+import {
+  parseGeneInput, resolveGeneInputs, getGeneLabel
+} from './gene-input';
 
 /**
   * Query Uniprot API for protein entry ID (e.g. P53_RAT) given gene and
   * organism.  This output is needed as input for the OMA API.
   */
-async function fetchUniprotId(gene, org) {
+async function fetchUniprotId(gene, org, config) {
   var uniprotBase, columns, query, query, response, data, lines, columns,
     i, genes, uniprotId;
 
@@ -26,12 +37,12 @@ async function fetchUniprotId(gene, org) {
 
   // API docs: https://www.uniprot.org/help/api_queries
   uniprotBase = (
-    'https://www.uniprot.org/uniprot/?format=tab&' + columns +
+    config.endpoints.uniprot + '?format=tab&' + columns +
     '&sort=score'
   );
 
   query = '&query=gene:' + gene + '+AND+organism:' + org;
-  response = await fetch(uniprotBase + query);
+  response = await fetchResponse(uniprotBase + query, 'uniprot', config);
   data = await response.text();
   lines = data.split('\n').slice(1, -1); // Omit headers, empty last line
 
@@ -53,108 +64,280 @@ async function fetchUniprotId(gene, org) {
 /**
   * Query OMA API for orthology information on a protein 
   */
-async function fetchOmaOrthologs(uniprotId) {
+async function fetchOmaOrthologs(uniprotId, config) {
   var omaUrl, response, data;
-  omaUrl = omaBase + '/protein/' + uniprotId + '/orthologs/';
-  response = await fetch(omaUrl);
-  data = await response.json();
+  omaUrl = config.endpoints.oma + '/protein/' + uniprotId + '/orthologs/';
+  response = await fetchResponse(omaUrl, 'oma', config, {}, [404]);
   if (response.status === 404) {
     throw Error(
       'OMA orthologs not found for Uniprot protein "' + uniprotId + '".'
     );
   }
+  data = await parseJson(response, 'oma');
+  return data;
+}
+
+/**
+  * Query OMA API for paralogs of a protein, i.e. homologs in the same genome
+  */
+async function fetchOmaParalogs(uniprotId, config) {
+  var omaUrl, response, data;
+  omaUrl = config.endpoints.oma + '/protein/' + uniprotId + '/paralogs/';
+  response = await fetchResponse(omaUrl, 'oma', config, {}, [404]);
+  if (response.status === 404) {
+    throw Error(
+      'OMA paralogs not found for Uniprot protein "' + uniprotId + '".'
+    );
+  }
+  data = await parseJson(response, 'oma');
   return data;
 }
 
 /**
   * Query OMA API for information on a protein
   */
-async function fetchOmaProtein(uniprotId) {
+async function fetchOmaProtein(uniprotId, config) {
   var omaUrl, response, data;
-  omaUrl = omaBase + '/protein/' + uniprotId + '/';
-  response = await fetch(omaUrl);
-  data = await response.json();
+  omaUrl = config.endpoints.oma + '/protein/' + uniprotId + '/';
+  response = await fetchResponse(omaUrl, 'oma', config, {}, [404]);
   if (response.status === 404) {
     throw Error(
       'OMA protein not found for Uniprot protein "' + uniprotId + '".'
     );
   }
+  data = await parseJson(response, 'oma');
   return data;
 }
 
 /**
-  * Convert organism scientific name to OMA ID prefix.
-  * Example: "rattus-norvegicus -> "RATNO"
+  * Query OMA API for the gene symbol of a protein, e.g. "Mtor" for
+  * MOUSE35040, from its cross-references.  Returns null if OMA lacks one.
+  */
+async function fetchOmaGeneSymbol(omaId, config) {
+  var omaUrl, response, xrefs, xref;
+  omaUrl = config.endpoints.oma + '/protein/' + omaId + '/xref/';
+  response = await fetchResponse(omaUrl, 'oma', config, {}, [404]);
+  if (response.status === 404) return null;
+  xrefs = await parseJson(response, 'oma');
+  xref = xrefs.find(xref => xref.source === 'Gene Name');
+  return xref ? xref.xref : null;
+}
+
+/**
+  * Get gene symbols of OMA protein records, in order, a few at a time
+  */
+async function fetchOmaGeneSymbols(proteins, config) {
+  return await mapConcurrently(proteins, protein => {
+    return fetchOmaGeneSymbol(protein.omaid, config);
+  }, config.concurrency);
+}
+
+/**
+  * Get OMA genome code for an organism, e.g. "rattus norvegicus" -> "RATNO".
+  * OMA protein IDs start with this code, e.g. "RATNO03710".
+  *
+  * Codes come from a bundled snapshot, or else OMA's genome API, which
+  * accepts NCBI Taxonomy IDs.
+  */
+async function fetchOmaGenomeCode(org, details, config) {
+  var omaUrl, response, data;
+  if (org in omaGenomeCodesByName) return omaGenomeCodesByName[org];
+
+  omaUrl = config.endpoints.oma + '/genome/' + getTaxid(org) + '/';
+  response = await fetchResponse(omaUrl, 'oma', config, {}, [404]);
+  if (response.status === 404) {
+    throw new InvalidInputError(
+      `Organism "${org}" has no OMA genome`, {...details, targetOrg: org}
+    );
+  }
+  data = await parseJson(response, 'oma');
+  return data.code;
+}
+
+/**
+  * Convert OMA protein record to a result record.  OMA names proteins by
+  * UniProt entry name, e.g. "MTOR_MOUSE", which is kept as `gene`.  The
+  * record is named by gene symbol, e.g. "Mtor", if OMA has one.
+  */
+function formatProtein(protein, org, symbol, uniprotId=null) {
+  return createRecord({
+    name: symbol || protein.canonicalid,
+    chr: protein.chromosome,
+    start: protein.locus.start,
+    stop: protein.locus.end,
+    strand: protein.locus.strand,
+    org,
+    taxid: getTaxid(org),
+    backend: 'oma',
+    uniprotId,
+    omaId: protein.omaid,
+    relationship: getOmaRelationship(protein.rel_type)
+  }, {gene: protein.canonicalid});
+}
+
+/**
+  * Given a gene, retrieve its UniProt ID and OMA protein record.
+  * Genes given by Ensembl or NCBI Gene ID are mapped to UniProt via
+  * MyGene.info, rather than by symbol.
+  */
+async function fetchSourceProtein(gene, org, details, config) {
+  var input, proteinId, sourceProtein;
+  input = parseGeneInput(gene);
+  if (typeof input !== 'string' && !input.uniprotId) {
+    [input] = await resolveGeneInputs([input], getTaxid(org), details, config);
+  }
+  try {
+    if (typeof input === 'string') {
+      proteinId = await fetchUniprotId(input, org, config);
+    } else if (input.uniprotId) {
+      proteinId = input.uniprotId;
+    } else {
+      throw Error('No UniProt accession found for gene "' + input.name + '"');
+    }
+    sourceProtein = await fetchOmaProtein(proteinId, config);
+  } catch(error) {
+    if (isRequestError(error)) throw error;
+    reportError('geneNotFound', {...details, cause: error});
+  }
+  return [proteinId, sourceProtein];
+}
+
+/**
+  * OMA does not note which assembly its loci are on, so it cannot honour
+  * the `assembly` option.
+  */
+function checkAssemblyOption(orgs, options) {
+  var org = orgs.find(org => options.assembly?.[org]);
+  if (org) {
+    throw new InvalidInputError(
+      `The OMA backend does not support the assembly option, ` +
+      `given for organism "${org}"`,
+      {backend: 'oma'}
+    );
+  }
+}
+
+/**
+  * Retrieve orthologs of one gene, as OMA protein records for the source
+  * gene followed by its targets.  OMA genome codes, i.e. OMA ID prefixes, of
+  * target organisms are given in `targetOrgPrefixes`.
   */
-function getOmaIdPrefix(org) {
-  // If this function proves inadequate, then refactor to use
-  // https://omabrowser.org/api/taxonomy/.  Fetch on page load, collapse
-  // tree, return leaf nodes as object with `name` as keys and `code` as
-  // values.
-  //
-  // As is, the implementation below seems adequate, simpler, and faster.
-  var prefix, genus, species;
-  if (org === 'homo sapiens') {
-    return 'HUMAN';
-  } else if (org === 'mus musculus') {
-    return 'MOUSE';
-  } else {
-    [genus, species] = org.split(' ');
-    prefix = genus.slice(0, 3) + species.slice(0, 2);
-    prefix = prefix.toUpperCase();
-    return prefix;
+async function fetchOrthologsOfGene(
+  gene, sourceOrg, targetOrgs, targetOrgPrefixes, config
+) {
+  var proteinId, sourceProtein, rawOrthologs, omaIdPrefix, theseOrthologs,
+    details, sourceSymbol, symbols;
+
+  details = {gene: getGeneLabel(gene), sourceOrg, targetOrgs, backend: 'oma'};
+  [proteinId, sourceProtein] =
+    await fetchSourceProtein(gene, sourceOrg, details, config);
+  try {
+    rawOrthologs = await fetchOmaOrthologs(proteinId, config);
+  } catch(error) {
+    if (isRequestError(error)) throw error;
+    reportError('orthologsNotFound', {...details, cause: error});
   }
+
+  theseOrthologs = rawOrthologs.filter(rawOrtholog => {
+    // e.g. RATNO03710 -> RATNO
+    return targetOrgPrefixes.includes(rawOrtholog.omaid.slice(0, 5));
+  });
+
+  [sourceSymbol, ...symbols] =
+    await fetchOmaGeneSymbols([sourceProtein, ...theseOrthologs], config);
+
+  // Note each target's organism, as other backends do
+  theseOrthologs = theseOrthologs.map((rawOrtholog, i) => {
+    omaIdPrefix = rawOrtholog.omaid.slice(0, 5);
+    const org = targetOrgs[targetOrgPrefixes.indexOf(omaIdPrefix)];
+    return formatProtein(rawOrtholog, org, symbols[i]);
+  });
+
+  reportMissingTargets(theseOrthologs.map(target => target.org), details);
+
+  // Prepend source to array
+  theseOrthologs.unshift(
+    formatProtein(sourceProtein, sourceOrg, sourceSymbol, proteinId)
+  );
+
+  return theseOrthologs;
 }
 
 /**
   * Given genes in a source organism, retrieve their orthologs in
   * other organisms.  Returns OMA protein records for source and target
-  * organisms.
+  * organisms.  Genes are queried in parallel, a few at a time.
   */
-async function fetchOrthologsFromOma(genes, sourceOrg, targetOrgs) {
-  var proteinId, sourceProtein, rawOrthologs, omaId, omaIdPrefix,
-    theseOrthologs, error, targetOrgPrefixes, i, gene,
-    orthologs = [];
+async function fetchOrthologsFromOma(
+  genes, sourceOrg, targetOrgs, config=defaultConfig, options={}
+) {
+  var targetOrgPrefixes, details;
+
+  checkAssemblyOption([sourceOrg, ...targetOrgs], options);
+  reportProgress(options, 'query', 'oma');
+
+  details = {sourceOrg, backend: 'oma'};
+
+  // Get OMA genome codes, i.e. OMA ID prefixes, for each target organism
+  targetOrgPrefixes = await Promise.all(
+    targetOrgs.map(org => fetchOmaGenomeCode(org, details, config))
+  );
+
+  return await mapConcurrently(genes, gene => {
+    return fetchOrthologsOfGene(
+      gene, sourceOrg, targetOrgs, targetOrgPrefixes, config
+    );
+  }, config.concurrency);
+}
+
+/**
+  * Given genes in an organism, retrieve their paralogs.  Returns OMA protein
+  * records for each gene, followed by its paralogs.
+  */
+async function fetchParalogsFromOma(
+  genes, org, config=defaultConfig, options={}
+) {
+  var proteinId, sourceProtein, rawParalogs, theseParalogs, i, gene, details,
+    sourceSymbol, symbols, paralogs = [];
+
+  checkAssemblyOption([org], options);
 
   for (i = 0; i < genes.length; i++) {
     gene = genes[i];
+    details = {
+      gene: getGeneLabel(gene), sourceOrg: org, targetOrg: org,
+      targetOrgs: [org], backend: 'oma'
+    };
+    [proteinId, sourceProtein] =
+      await fetchSourceProtein(gene, org, details, config);
     try {
-      proteinId = await fetchUniprotId(gene, sourceOrg);
-      sourceProtein = await fetchOmaProtein(proteinId);
-    } catch(error) {
-      reportError('geneNotFound', error, gene, sourceOrg, targetOrgs);
-    }
-    try {
-      rawOrthologs = await fetchOmaOrthologs(proteinId);
+      rawParalogs = await fetchOmaParalogs(proteinId, config);
     } catch(error) {
-      reportError('orthologsNotFound', error, gene, sourceOrg, targetOrgs);
+      if (isRequestError(error)) throw error;
+      reportError('paralogsNotFound', {...details, cause: error});
     }
 
-    // Get OMA ID prefixes for each target organism
-    targetOrgPrefixes = targetOrgs.map(org => getOmaIdPrefix(org));
-
-    theseOrthologs = rawOrthologs.filter(rawOrtholog => {
-      omaId = rawOrtholog.omaid; // e.g. RATNO03710
-      omaIdPrefix = omaId.slice(0, 5); // e.g. RATNO
-      return targetOrgPrefixes.includes(omaIdPrefix);
+    theseParalogs = rawParalogs.filter(rawParalog => {
+      return rawParalog.omaid !== sourceProtein.omaid;
     });
 
-    if (theseOrthologs.length === 0) {
-      reportError('orthologsNotFoundInTarget', error, gene, sourceOrg, targetOrgs);
+    if (theseParalogs.length === 0) {
+      reportError('paralogsNotFound', details);
     }
 
-    theseOrthologs.unshift(sourceProtein); // prepend to array
-
-    theseOrthologs = theseOrthologs.map(d => {
-      return {
-        gene: d.canonicalid,
-        location: d.chromosome + ':' + d.locus.start + '-' + d.locus.end
-      }
+    [sourceSymbol, ...symbols] =
+      await fetchOmaGeneSymbols([sourceProtein, ...theseParalogs], config);
+    theseParalogs = theseParalogs.map((paralog, j) => {
+      return formatProtein(paralog, org, symbols[j]);
     });
-    orthologs.push(theseOrthologs);
+    theseParalogs.unshift(
+      formatProtein(sourceProtein, org, sourceSymbol, proteinId)
+    );
+    paralogs.push(theseParalogs);
   }
 
-  return orthologs;
+  return paralogs;
 }
 
+export {fetchParalogsFromOma};
 export default fetchOrthologsFromOma;
\ No newline at end of file
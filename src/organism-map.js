@@ -2,7 +2,7 @@ export const taxidsByName = {
   'aedes aegypti': '7159',
   'anopheles gambiae': '7165',
   'arabidopsis thaliana': '3702',
-  'aspergillis fumigatus': '746128',
+  'aspergillus fumigatus': '746128',
   'aspergillus niger': '5061',
   'aspergillus oryzae': '5062',
   'bos taurus': '9913',
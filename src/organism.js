@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Resolve organisms given as names or taxids
+ *
+ * Organisms can be given as a scientific name in any case ("Mus musculus"),
+ * an NCBI Taxonomy ID (10090 or "10090"), or a common name ("mouse").  Each
+ * resolves to a lowercase scientific name, e.g. "mus musculus", which
+ * backends use to look up taxids and other per-organism data.
+ *
+ * Organisms come from a bundled snapshot of taxonomy, which lists only
+ * widely studied species.  `fetchOrganism` also looks up others in NCBI
+ * Taxonomy, and remembers them.  Synchronous functions cannot look them up,
+ * so `normalizeOrganism` and `getTaxid` fall back for organisms not yet
+ * known, rather than throw.
+ */
+
+import {taxidsByName} from './organism-map';
+import {taxonomy, synonyms, synonymsByTaxid} from './taxonomy';
+import {InvalidInputError} from './error';
+import {defaultConfig} from './config';
+import {fetchCachedJson} from './cache';
+import {getEUtilsUrl} from './lib';
+
+const taxidsByScientificName = {}
+const namesByTaxid = {...synonymsByTaxid}
+const namesByCommonName = {}
+
+// Organisms found in NCBI Taxonomy, by the name or taxid they were given as
+const namesByFetchedName = {}
+
+taxonomy.forEach(([taxid, name, commonNames]) => {
+  taxidsByScientificName[name] = taxid
+  namesByTaxid[taxid] = name
+  commonNames.forEach(commonName => {
+    if (!namesByCommonName[commonName]) namesByCommonName[commonName] = []
+    namesByCommonName[commonName].push(name)
+  })
+})
+
+// Taxids in organism-map.js are those OrthoDB uses, so they take precedence
+Object.entries(taxidsByName).forEach(([name, taxid]) => {
+  taxidsByScientificName[name] = taxid
+  namesByTaxid[taxid] = name
+})
+
+/** E.g. " Mus  Musculus" -> "mus musculus" */
+function normalizeName(name) {
+  return name.trim().replace(/\s+/g, ' ').toLowerCase()
+}
+
+/**
+ * Get normalized name or taxid of an organism input, e.g. 10090 -> "10090",
+ * or throw InvalidInputError if it is neither
+ */
+function parseOrganismInput(org) {
+  if (typeof org === 'number') org = String(org)
+  if (typeof org !== 'string' || org.trim() === '') {
+    throw new InvalidInputError(
+      `Organism must be a name or taxid, not "${org}"`
+    )
+  }
+  return normalizeName(org)
+}
+
+/** Throw InvalidInputError for an organism missing from taxonomy */
+function reportUnknownOrganism(org, name) {
+  if (/^\d+$/.test(name)) {
+    throw new InvalidInputError(`Unknown organism taxid "${name}"`)
+  }
+  throw new InvalidInputError(
+    `Unknown organism "${org}".  Use a scientific name, common name, ` +
+    'or NCBI Taxonomy ID.'
+  )
+}
+
+/**
+ * Find the scientific name for a normalized organism name or taxid, or null
+ * if it is unknown.  Throws if a common name is ambiguous.
+ */
+function findOrganism(org, name) {
+  if (name in namesByFetchedName) return namesByFetchedName[name]
+
+  if (/^\d+$/.test(name)) return namesByTaxid[name] || null
+
+  if (name in taxidsByScientificName) return name
+  if (name in synonyms) return synonyms[name]
+
+  const candidates = namesByCommonName[name]
+  if (candidates?.length === 1) return candidates[0]
+  if (candidates) {
+    const options = candidates.map(candidate => `"${candidate}"`).join(', ')
+    throw new InvalidInputError(
+      `Ambiguous organism "${org}".  Use one of: ${options}.`
+    )
+  }
+
+  return null
+}
+
+/**
+ * Get lowercase scientific name for an organism given as a scientific name,
+ * common name, or NCBI Taxonomy ID
+ *
+ * Examples:
+ *   "Homo sapiens" -> "homo sapiens"
+ *   "zebrafish" -> "danio rerio"
+ *   10090 -> "mus musculus"
+ *
+ * Throws InvalidInputError if the organism is unknown, or if a common name
+ * is ambiguous (e.g. "yeast").
+ */
+export function resolveOrganism(org) {
+  const name = parseOrganismInput(org)
+  const found = findOrganism(org, name)
+  if (!found) reportUnknownOrganism(org, name)
+  return found
+}
+
+/**
+ * Resolve an organism as `resolveOrganism` does, but return organisms that
+ * are not yet known as given, normalized, e.g. "Vulpes  lagopus" ->
+ * "vulpes lagopus".  For code that cannot wait for `fetchOrganism`.
+ */
+export function normalizeOrganism(org) {
+  const name = parseOrganismInput(org)
+  return findOrganism(org, name) ?? name
+}
+
+/**
+ * Remember an organism missing from the bundled taxonomy, e.g. one found in
+ * NCBI Taxonomy or a local index, so resolving it needs no request
+ *
+ * Example: registerOrganism("Phascolarctos cinereus", "38626")
+ */
+export function registerOrganism(name, taxid) {
+  name = normalizeName(name)
+  taxid = String(taxid)
+
+  // Keep e.g. OrthoDB's taxid for organisms known by another taxid
+  if (!(name in taxidsByScientificName)) taxidsByScientificName[name] = taxid
+  if (!(taxid in namesByTaxid)) namesByTaxid[taxid] = name
+}
+
+/**
+ * Look up an organism name or taxid in NCBI Taxonomy.  Returns its
+ * scientific name and taxid, or null if NCBI Taxonomy has no single match.
+ *
+ * Example:
+ * https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esearch.fcgi?db=taxonomy&retmode=json&term=koala
+ */
+async function fetchNcbiTaxon(name, config) {
+  let taxid = name
+  if (!/^\d+$/.test(name)) {
+    const params = 'term=' + encodeURIComponent(name)
+    const url = getEUtilsUrl('esearch', params, config, 'taxonomy')
+    const data = await fetchCachedJson(url, 'eutils', config)
+    const {idlist} = data.esearchresult
+    if (idlist.length !== 1) return null
+    taxid = idlist[0]
+  }
+
+  const url = getEUtilsUrl('esummary', 'id=' + taxid, config, 'taxonomy')
+  const data = await fetchCachedJson(url, 'eutils', config)
+  const summary = data.result?.[taxid]
+  if (!summary?.scientificname) return null
+  return {taxid, name: normalizeName(summary.scientificname)}
+}
+
+/**
+ * Resolve an organism as `resolveOrganism` does, but look up organisms
+ * missing from the bundled taxonomy in NCBI Taxonomy.  Organisms found are
+ * remembered, so `resolveOrganism` and `getTaxid` then know them too.
+ *
+ * Example: "koala" -> "phascolarctos cinereus"
+ */
+export async function fetchOrganism(org, config=defaultConfig) {
+  const name = parseOrganismInput(org)
+  const known = findOrganism(org, name)
+  if (known) return known
+
+  const taxon = await fetchNcbiTaxon(name, config)
+  if (!taxon) reportUnknownOrganism(org, name)
+
+  registerOrganism(taxon.name, taxon.taxid)
+  namesByFetchedName[name] = taxon.name
+  return taxon.name
+}
+
+/**
+ * Get NCBI Taxonomy ID for an organism, e.g. "mus musculus" -> "10090".
+ * Taxids not yet known are returned as given, and names not yet known, e.g.
+ * before `fetchOrganism`, get null.
+ */
+export function getTaxid(org) {
+  const name = normalizeOrganism(org)
+  if (/^\d+$/.test(name)) return name
+  return taxidsByScientificName[name] ?? null
+}
@@ -10,24 +10,26 @@
 * is retained as a potential future fallback.
 */
 
-import {taxidsByName} from './organism-map';
-import {reportError} from './error';
+import {getTaxid} from './organism';
+import {reportError, reportMissingTargets} from './error';
 import {fetchLocations, fetchAnnotsFromEUtils} from './lib';
-
-// OrthoDB does not support CORS.  Homology API on Firebase proxies OrthoDB and
-// supports CORS.  This enables client-side web requests to the OrthoDB API.
-//
-// var orthodbBase = 'https://www.orthodb.org/';
-var orthodbBase = 'https://homology-api.firebaseapp.com/orthodb/';
-// var orthodbBase = 'http://localhost:5000/orthodb/';
-// var orthodbBase = 'http://localhost:5001/homology-api/us-central1/app/orthodb/'
+import {defaultConfig} from './config';
+import {fetchCachedJson} from './cache';
+import {isRequestError} from './request';
+import {reportProgress} from './progress';
+import {parseGeneInput, getGeneLabel} from './gene-input';
+import {createRecord} from './record';
+import {classifyRelationship} from './relationship';
+import {getAssembly} from './assembly';
 
 /**
  * Get JSON response from OrthoDB API
  */
-export async function fetchOrthoDBJson(path, isRest=true) {
-  var response = await fetch(orthodbBase + path);
-  var json = await response.json();
+export async function fetchOrthoDBJson(
+  path, isRest=true, config=defaultConfig
+) {
+  var url = config.endpoints.orthodb + path;
+  var json = await fetchCachedJson(url, 'orthodb', config);
   if (isRest) {
     return json.data;
   } else {
@@ -65,8 +67,22 @@ function isNumeric(n) {
   return !isNaN(parseFloat(n)) && isFinite(n);
 }
 
-/** Deduplicates gene names in a list of results from SPARQL query */
-function getOrthologMap(genes, sparqlJson) {
+/**
+ * E.g. http://purl.uniprot.org/taxonomy/10090 -> 10090
+ */
+function getTaxidFromUri(url) {
+  return url.split('/').slice(-1)[0]
+}
+
+/**
+ * Deduplicates gene names in a list of results from SPARQL query
+ *
+ * Each target gene is tagged with the taxid of its organism, so targets
+ * from a multi-organism query can later be grouped per target organism.
+ * Targets also note each orthogroup they share with the source gene, in
+ * `ogs`; see `classifyTarget`.
+ */
+function getOrthologMap(genes, sparqlJson, targetTaxids) {
 
   const orthologMap = {}
   const seenTargetNames = {}
@@ -133,9 +149,25 @@ function getOrthologMap(genes, sparqlJson) {
     }
 
     const id = getOrthoDBId(result.gene_t.value)
-    if (source in seenTargetNames && !seenTargetNames[source].includes(name)) {
-      seenTargetNames[source].push(name)
-      orthologMap[source].push({name, id})
+
+    // Queries for a single target organism may omit the target taxon binding
+    const taxid =
+      result.taxon_t ? getTaxidFromUri(result.taxon_t.value) : targetTaxids[0]
+
+    // Names only need to be unique within each target organism
+    const seenName = taxid + ':' + name
+
+    if (!(source in seenTargetNames)) return
+
+    const og = result.og.value.split('/').slice(-1)[0]
+    if (!seenTargetNames[source].includes(seenName)) {
+      seenTargetNames[source].push(seenName)
+      orthologMap[source].push({name, id, taxid, ogs: [og]})
+    } else {
+      const target = orthologMap[source].find(target => {
+        return target.taxid + ':' + target.name === seenName
+      })
+      if (!target.ogs.includes(og)) target.ogs.push(og)
     }
   })
 
@@ -186,8 +218,9 @@ function sortTargetGenes(targetGenes, sourceGene, sources) {
 /**
  * Add Ensembl ID, domains, # amino acids, # exons to a gene.
  */
-async function enrichGene(gene) {
-  const ogDetails = await fetchOrthoDBJson('ogdetails?id=' + gene.id);
+async function enrichGene(gene, config) {
+  const ogDetails =
+    await fetchOrthoDBJson('ogdetails?id=' + gene.id, true, config);
   // console.log('ogDetails for gene', ogDetails)
   if (ogDetails.ensembl) {
     gene.ensemblId = ogDetails.ensembl[0].id
@@ -205,7 +238,7 @@ async function enrichGene(gene) {
 /**
  * Add Ensembl ID, domains, # amino acids, # exons to source and target genes.
  */
-async function enrichMap(orthologMap, sources, forceEnrich = false) {
+async function enrichMap(orthologMap, sources, forceEnrich, config) {
 
   const enrichedMap = {}
   const enrichedSources = {}
@@ -216,10 +249,6 @@ async function enrichMap(orthologMap, sources, forceEnrich = false) {
     Object.entries(orthologMap).map(async ([sourceName, targets]) => {
       const sourceGene = sources[sourceName]
 
-      if (typeof sourceGene === 'undefined') {
-        throw Error(`${sourceName} not found in target`)
-      }
-
       // If any target matches the source name, it's an ortholog
       // and we can drastically speed up the UI by avoiding all the
       // network chatter needs for enrichment
@@ -232,12 +261,13 @@ async function enrichMap(orthologMap, sources, forceEnrich = false) {
         return
       }
 
-      const enrichedSource = await enrichGene(sourceGene)
+      const enrichedSource = await enrichGene(sourceGene, config)
 
       enrichedSources[sourceName] = enrichedSource
 
       // Parallelize OrthoDB REST API requests
-      const promises = targets.map(async target => await enrichGene(target))
+      const promises =
+        targets.map(async target => await enrichGene(target, config))
       const enrichedTargets = await Promise.all(promises)
 
       enrichedMap[sourceName] = enrichedTargets
@@ -250,6 +280,20 @@ async function enrichMap(orthologMap, sources, forceEnrich = false) {
   return {orthologMap, sources}
 }
 
+/** Get stable IDs of a gene, omitting those that are unknown */
+function getEnrichedIds(gene) {
+  const ids = {}
+  if (gene?.ensemblId) ids.ensemblId = gene.ensemblId
+  if (gene?.ncbiGeneId) ids.ncbiGeneId = gene.ncbiGeneId
+  return ids
+}
+
+/** Get fields from `enrichGene` to add to a result record, if enriched */
+function getEnrichedFields(gene) {
+  if (!gene || !('domains' in gene)) return {}
+  return {aas: gene.aas, exons: gene.exons, domains: gene.domains}
+}
+
 /** Compare two strings, roughly. */
 function fuzzyMatch(a, b) {
   if (a === b) return true
@@ -263,6 +307,14 @@ function fuzzyMatch(a, b) {
   return fuzzyA === fuzzyB
 }
 
+/** Determine if two genes share an Ensembl or NCBI Gene ID */
+function hasSameId(a, b) {
+  return Boolean(
+    (a.ensemblId && a.ensemblId === b.ensemblId) ||
+    (a.ncbiGeneId && String(a.ncbiGeneId) === String(b.ncbiGeneId))
+  )
+}
+
 /** Determines whether a candidate object matches a reference */
 function isSuitableMatch(candidate, referenceName) {
   return (
@@ -276,34 +328,190 @@ function isSuitableMatch(candidate, referenceName) {
   )
 }
 
-async function fetchOrthologsFromOrthodbSparql(genes, sourceOrg, targetOrgs) {
-  const genesClause = genes.join('%7C') // URL encoding for | (i.e. OR)
+/** Group target genes in an ortholog map by the taxid of their organism */
+function getTargetsByTaxid(orthologMap, targetTaxids) {
+  const targetsByTaxid = {}
+  targetTaxids.forEach(taxid => targetsByTaxid[taxid] = [])
+
+  Object.values(orthologMap).forEach(targets => {
+    targets.forEach(target => targetsByTaxid[target.taxid].push(target))
+  })
+
+  return targetsByTaxid
+}
+
+/**
+ * Fetch locations of target genes, in parallel for each target organism
+ *
+ * Returns an object with target taxids as keys and location lists as values.
+ *
+ * @param {Object} assemblies Assembly of each target organism, by taxid
+ */
+async function fetchTargetLocations(
+  orthologMap, targetTaxids, config, assemblies
+) {
+  const targetsByTaxid = getTargetsByTaxid(orthologMap, targetTaxids)
+
+  const targetLocations = {}
+  await Promise.all(
+    Object.entries(targetsByTaxid).map(async ([taxid, targets]) => {
+      if (targets.length === 0) {
+        targetLocations[taxid] = []
+        return
+      }
+      targetLocations[taxid] =
+        await fetchLocations(targets, taxid, config, assemblies[taxid])
+    })
+  )
+
+  return targetLocations
+}
+
+/**
+ * Count genes in the source organism for each orthogroup of targets
+ *
+ * These counts tell many-to-X relationships from one-to-X ones.  The main
+ * query only returns source genes that match queried symbols, so this
+ * queries all members of each orthogroup in the source organism.  That is
+ * one more SPARQL request per call, run concurrently with enrichment and
+ * location lookups; paralog queries skip it.
+ */
+async function fetchSourceCountsByOg(orthologMap, sourceTaxid, config) {
+  const ogs = new Set()
+  Object.values(orthologMap).forEach(targets => {
+    targets.forEach(target => target.ogs.forEach(og => ogs.add(og)))
+  })
+  if (ogs.size === 0) return {}
+
+  const ogUris =
+    [...ogs].map(og => `<http://purl.orthodb.org/odbgroup/${og}>`)
+  const query = [
+    'prefix : <http://purl.orthodb.org/>',
+    'select ?og (count(distinct ?gene) as ?count)',
+    'where {',
+      `values ?og { ${ogUris.join(' ')} }`,
+      '?gene :memberOf ?og .',
+      `?gene up:organism/a taxon:${sourceTaxid} .`,
+    '}',
+    'group by ?og'
+  ].join('\n')
+
+  const path = 'sparql/?query=' + encodeURIComponent(query)
+  const json = await fetchOrthoDBJson(path, false, config)
+
+  const sourceCountsByOg = {}
+  json.results.bindings.forEach(result => {
+    const og = result.og.value.split('/').slice(-1)[0]
+    sourceCountsByOg[og] = parseInt(result.count.value)
+  })
+  return sourceCountsByOg
+}
+
+// URIs of OrthoDB cross-references to stable IDs, by gene input field
+const xrefPrefixes = {
+  ensemblId: 'http://rdf.ebi.ac.uk/resource/ensembl/',
+  ncbiGeneId: 'http://identifiers.org/ncbigene/',
+  uniprotId: 'http://purl.uniprot.org/uniprot/'
+}
+
+/**
+ * Get URI of the OrthoDB cross-reference to a gene given by stable ID
+ *
+ * Example: {ensemblId: "ENSG00000198793.13"} ->
+ * "http://rdf.ebi.ac.uk/resource/ensembl/ENSG00000198793"
+ */
+function getXrefUri(input) {
+  const field = Object.keys(xrefPrefixes).find(field => input[field])
+  const id = input[field].split('.')[0] // Omit any Ensembl version
+  return xrefPrefixes[field] + id
+}
+
+/**
+ * Get SPARQL clauses that select source genes, by symbol or by stable ID
+ *
+ * Genes given by ID are matched by OrthoDB cross-reference, so a gene is
+ * not confused with e.g. a pseudogene that shares its symbol.
+ */
+function getSourceClauses(inputs) {
+  const symbols = inputs.filter(input => typeof input === 'string')
+  const xrefs = inputs
+    .filter(input => typeof input !== 'string')
+    .map(input => `<${getXrefUri(input)}>`)
+
+  const genesClause = symbols.join('%7C') // URL encoding for | (i.e. OR)
+  const symbolFilter =
+    `filter (regex(?gene_s_name, "(^;?${genesClause};?)", "i"))`
+  const xrefClauses = [
+    `values ?xref_s { ${xrefs.join(' ')} }`,
+    '?gene_s :xref [a :Xref; :xrefResource ?xref_s] .'
+  ]
+
+  if (xrefs.length === 0) return [symbolFilter]
+  if (symbols.length === 0) return xrefClauses
+  return [
+    `{ ?gene_s :name ?gene_s_name . ${symbolFilter} }`,
+    'union',
+    `{ ${xrefClauses.join(' ')} }`
+  ]
+}
 
-  // TODO: Support multiple target organisms
-  const targetOrg = targetOrgs[0]
+/**
+ * Classify the relationship of a source gene to a target gene, e.g.
+ * "one-to-many"
+ *
+ * A gene pair can share orthogroups at several taxonomic levels, e.g.
+ * vertebrates and mammals.  Both source and target genes are counted at
+ * the most specific one, i.e. the shared orthogroup with the fewest members
+ * in the queried organisms.
+ *
+ * @param {Object} target Target gene, from `getOrthologMap`
+ * @param {Array} targets All target genes of the source gene
+ * @param {Object} sourceCountsByOg Source organism gene counts, by
+ *   orthogroup
+ */
+function classifyTarget(target, targets, sourceCountsByOg) {
+  const getTargetCount = (og, taxid) => {
+    return targets.filter(other => {
+      return (!taxid || other.taxid === taxid) && other.ogs.includes(og)
+    }).length
+  }
+  const getSize = og => (sourceCountsByOg[og] || 0) + getTargetCount(og)
+  const og = target.ogs.slice().sort((a, b) => getSize(a) - getSize(b))[0]
+  return classifyRelationship(
+    sourceCountsByOg[og], getTargetCount(og, target.taxid)
+  )
+}
 
-  const sourceTaxid = taxidsByName[sourceOrg]
-  const targetTaxid = taxidsByName[targetOrg]
+/**
+ * Get encoded SPARQL query for homologs of genes in source organism
+ *
+ * For paralogs, the target taxid is that of the source organism, and each
+ * source gene is excluded from its own targets.
+ */
+function getSparqlQuery(inputs, sourceTaxid, targetTaxids, isParalogQuery) {
+  const targetTaxa = targetTaxids.map(taxid => `taxon:${taxid}`).join(' ')
 
-  const query = encodeURIComponent([
+  const query = [
     'prefix : <http://purl.orthodb.org/>',
     'select *',
     'where {',
+      `values ?taxon_t { ${targetTaxa} }`, // target organisms
       '?og a :OrthoGroup .',
       '?gene_s a :Gene .', // source gene
       '?gene_t a :Gene .', // target gene
       `?gene_s up:organism/a taxon:${sourceTaxid} .`,
-      `?gene_t up:organism/a taxon:${targetTaxid} .`,
+      '?gene_t up:organism/a ?taxon_t .',
       '?gene_s :memberOf ?og .',
       '?gene_t :memberOf ?og .',
       '?gene_s :name ?gene_s_name .',
       '?gene_t :name ?gene_t_name .',
-      `filter (regex(?gene_s_name, "(^;?${genesClause};?)", "i"))`,
+      ...getSourceClauses(inputs),
+      isParalogQuery && 'filter (?gene_s != ?gene_t)',
     '}'
-  ].join('\n'));
+  ].filter(Boolean)
 
-  // Below is an example query for ACE2, which you can plug
-  // into https://sparql.orthodb.org to debug or explore.
+  // Below is an example query for ACE2 in mouse and zebrafish, which you can
+  // plug into https://sparql.orthodb.org to debug or explore.
   //
   // The ";?" clauses handle edge cases, where e.g. the queried gene "ACE2"
   // matches against the "ACE2;BMX" source gene contained in OrthoDB.
@@ -311,96 +519,205 @@ async function fetchOrthologsFromOrthodbSparql(genes, sourceOrg, targetOrgs) {
   // prefix : <http://purl.orthodb.org/>
   // select *
   // where {
+  // values ?taxon_t { taxon:10090 taxon:7955 }
   // ?og a :OrthoGroup .
   // ?gene_s a :Gene .
   // ?gene_t a :Gene .
   // ?gene_s up:organism/a taxon:9606 .
-  // ?gene_t up:organism/a taxon:10090 .
+  // ?gene_t up:organism/a ?taxon_t .
   // ?gene_s :memberOf ?og .
   // ?gene_t :memberOf ?og .
   // ?gene_s :name ?gene_s_name .
   // ?gene_t :name ?gene_t_name .
   // filter (regex(?gene_s_name, "(^;?ACE2;?)", "i"))
   // }
+  //
+  // A paralog query for human ACE2 would instead have
+  // "values ?taxon_t { taxon:9606 }" and "filter (?gene_s != ?gene_t)".
+  //
+  // A query for a gene given by Ensembl ID would instead have:
+  // values ?xref_s { <http://rdf.ebi.ac.uk/resource/ensembl/ENSG00000130234> }
+  // ?gene_s :xref [a :Xref; :xrefResource ?xref_s] .
+
+  return encodeURIComponent(query.join('\n'))
+}
+
+/**
+ * Get names of queried genes, naming each gene given by stable ID as OrthoDB
+ * does, e.g. {ensemblId: "ENSG00000198793"} -> "MTOR".  Results for such
+ * genes are updated to have just that source name.
+ */
+function nameGenesGivenById(inputs, results) {
+  return inputs.map(input => {
+    if (typeof input === 'string') return input
+
+    const xrefUri = getXrefUri(input)
+    const theseResults =
+      results.filter(result => result.xref_s?.value === xrefUri)
+    if (theseResults.length === 0) return getGeneLabel(input)
+
+    // e.g. "ACE2;BMX" -> "ACE2"
+    const name = theseResults[0].gene_s_name.value.split(';')[0]
+    theseResults.forEach(result => result.gene_s_name.value = name)
+    return name
+  })
+}
+
+/**
+ * Fetch orthologs or paralogs via the OrthoDB SPARQL API
+ *
+ * All target organisms are queried in one request.  Each returned homolog
+ * is an array of the source gene, followed by its target genes ordered per
+ * target organism, as given in `targetOrgs`.  Each target gene notes its
+ * organism in the `org` property; see `groupByTarget` in homology.js.
+ */
+async function fetchHomologsFromOrthodbSparql(
+  genes, sourceOrg, targetOrgs, config, options, isParalogQuery
+) {
+  const sourceTaxid = getTaxid(sourceOrg)
+  const targetTaxids = targetOrgs.map(getTaxid)
+
+  const sourceAssembly = getAssembly(sourceOrg, options.assembly?.[sourceOrg])
+  const targetAssemblies = {}
+  targetOrgs.forEach((targetOrg, i) => {
+    targetAssemblies[targetTaxids[i]] =
+      getAssembly(targetOrg, options.assembly?.[targetOrg])
+  })
+
+  const details = {sourceOrg, targetOrgs, backend: 'orthodb'}
+
+  reportProgress(options, 'query', 'orthodb')
 
-  const sparqlJson = await fetchOrthoDBJson('sparql/?query=' + query, false);
+  const inputs = genes.map(parseGeneInput)
+  const query =
+    getSparqlQuery(inputs, sourceTaxid, targetTaxids, isParalogQuery)
+
+  const sparqlJson =
+    await fetchOrthoDBJson('sparql/?query=' + query, false, config);
   // console.log('sparql json:', sparqlJson);
 
+  genes = nameGenesGivenById(inputs, sparqlJson.results.bindings)
+
+  const notFound = isParalogQuery ? 'paralogsNotFound' : 'orthologsNotFound'
+  const notFoundInTarget =
+    isParalogQuery ? 'paralogsNotFound' : 'orthologsNotFoundInTarget'
+
   if (sparqlJson.results.bindings.length === 0) {
-    reportError('orthologsNotFound', null, genes);
+    reportError(notFound, {...details, gene: genes.join(', ')});
   }
 
-  const map = getOrthologMap(genes, sparqlJson);
+  const map = getOrthologMap(genes, sparqlJson, targetTaxids);
 
-  let enrichedMap
-  try {
-    enrichedMap = await enrichMap(map.orthologMap, map.sources)
-  } catch(e) {
-    const gene = e.message.split(' ')[0]
-    reportError('orthologsNotFoundInTarget', null, gene, sourceOrg, targetOrgs);
-  }
+  // Each gene needs homologs in some target organism
+  Object.entries(map.orthologMap).forEach(([gene, targets]) => {
+    const foundOrgs =
+      targets.map(target => targetOrgs[targetTaxids.indexOf(target.taxid)])
+    reportMissingTargets(foundOrgs, {...details, gene}, notFoundInTarget)
+  })
+
+  // Fetched concurrently with enrichment and locations, below
+  const sourceCountsPromise = isParalogQuery ?
+    Promise.resolve({}) :
+    fetchSourceCountsByOg(map.orthologMap, sourceTaxid, config)
+
+  reportProgress(options, 'enrichment', 'orthodb')
+  let enrichedMap =
+    await enrichMap(map.orthologMap, map.sources, false, config)
 
   let orthologMap = enrichedMap.orthologMap
   let sources = enrichedMap.sources
 
+  reportProgress(options, 'locations', 'orthodb')
   let sourceLocations
   try {
-    sourceLocations = await fetchLocations(genes, sourceTaxid);
+    sourceLocations =
+      await fetchLocations(inputs, sourceTaxid, config, sourceAssembly);
   } catch (e) {
+    if (isRequestError(e)) throw e
+
     // If no locations were found due to lacking IDs, then force
     // enrichment and try again
-    enrichedMap = await enrichMap(map.orthologMap, map.sources, true)
+    enrichedMap = await enrichMap(map.orthologMap, map.sources, true, config)
     orthologMap = enrichedMap.orthologMap
     sources = enrichedMap.sources
     const ncbiGeneIds = Object.values(sources).map(s => s.ncbiGeneId)
-    sourceLocations = await fetchAnnotsFromEUtils(ncbiGeneIds);
+    sourceLocations =
+      await fetchAnnotsFromEUtils(ncbiGeneIds, config, sourceAssembly);
   }
 
-  let rawTargets
   let targetLocations
   try {
-    rawTargets = []
-    Object.entries(orthologMap).forEach(([source, targets]) => {
-      rawTargets = rawTargets.concat(targets)
-    })
-    targetLocations =
-      await fetchLocations(rawTargets, targetTaxid)
+    targetLocations = await fetchTargetLocations(
+      orthologMap, targetTaxids, config, targetAssemblies
+    )
   } catch (e) {
+    if (isRequestError(e)) throw e
+
     // If no locations were found due to lacking IDs, then force
     // enrichment and try again
-    enrichedMap = await enrichMap(map.orthologMap, map.sources, true)
+    enrichedMap = await enrichMap(map.orthologMap, map.sources, true, config)
     orthologMap = enrichedMap.orthologMap
-
-    rawTargets = []
-    Object.entries(orthologMap).forEach(([source, targets]) => {
-      rawTargets = rawTargets.concat(targets)
-    })
     sources = enrichedMap.sources
-    targetLocations =
-      await fetchLocations(rawTargets, targetTaxid)
+    targetLocations = await fetchTargetLocations(
+      orthologMap, targetTaxids, config, targetAssemblies
+    )
   }
 
+  const sourceCountsByOg = await sourceCountsPromise
+
   const orthologs = []
 
-  Object.entries(orthologMap).forEach(([sourceGene, targetGenes], i) => {
+  Object.entries(orthologMap).forEach(([sourceGene, targetGenes]) => {
     const ortholog = []
 
     targetGenes = sortTargetGenes(targetGenes, sourceGene, sources)
 
-    const sourceLocation =
-      sourceLocations.find(sl => isSuitableMatch(sl, sourceGene)).location
-    const source = {name: sourceGene, location: sourceLocation}
+    const sourceAnnot =
+      sourceLocations.find(sl => isSuitableMatch(sl, sourceGene))
+    const sourceIds = sources[sourceGene] || map.sources[sourceGene]
+    const source = createRecord({
+      ...sourceAnnot,
+      ...getEnrichedIds(sourceIds),
+      name: sourceGene,
+      org: sourceOrg,
+      taxid: sourceTaxid,
+      backend: 'orthodb',
+      orthodbId: sourceIds?.id
+    }, getEnrichedFields(sourceIds))
     ortholog.push(source)
 
-    targetGenes.forEach(targetGene => {
-      const targetName = targetGene.name
-      let targetLocation =
-        targetLocations.find(tl => isSuitableMatch(tl, targetName))
-
-      if (!targetLocation) { targetLocation = targetLocations[i]}
-
-      const target = {name: targetName, location: targetLocation.location}
-      ortholog.push(target)
+    targetOrgs.forEach((targetOrg, j) => {
+      const taxid = targetTaxids[j]
+      const locations = targetLocations[taxid]
+
+      const theseTargetGenes =
+        targetGenes.filter(targetGene => targetGene.taxid === taxid)
+
+      theseTargetGenes.forEach(targetGene => {
+        const targetName = targetGene.name
+        const matchedLocation =
+          locations.find(tl => isSuitableMatch(tl, targetName))
+
+        // Fall back to a location with the gene's ID, as names can differ.
+        // Targets without a location are kept, with null coordinates.
+        const targetLocation = matchedLocation ||
+          locations.find(tl => hasSameId(tl, targetGene)) || {}
+
+        const {chr, start, stop, strand, assembly, location} = targetLocation
+        const target = createRecord({
+          chr, start, stop, strand, assembly, location,
+          ...getEnrichedIds(targetLocation),
+          ...getEnrichedIds(targetGene),
+          name: targetName,
+          org: targetOrg,
+          taxid,
+          backend: 'orthodb',
+          orthodbId: targetGene.id,
+          relationship: isParalogQuery ? null :
+            classifyTarget(targetGene, targetGenes, sourceCountsByOg)
+        }, getEnrichedFields(targetGene))
+        ortholog.push(target)
+      })
     })
     orthologs.push(ortholog)
   })
@@ -410,5 +727,35 @@ async function fetchOrthologsFromOrthodbSparql(genes, sourceOrg, targetOrgs) {
   return orthologs
 }
 
+/**
+ * Fetch orthologs of genes in a source organism, via OrthoDB SPARQL API
+ *
+ * @param {Object} options
+ * @param {Object} options.assembly Assembly names by organism, e.g.
+ *   {"homo sapiens": "GRCh37"}; see assembly.js
+ */
+async function fetchOrthologsFromOrthodbSparql(
+  genes, sourceOrg, targetOrgs, config=defaultConfig, options={}
+) {
+  return await fetchHomologsFromOrthodbSparql(
+    genes, sourceOrg, targetOrgs, config, options, false
+  )
+}
+
+/**
+ * Fetch paralogs of genes, i.e. other members of their orthogroups in the
+ * same organism, via OrthoDB SPARQL API
+ */
+async function fetchParalogsFromOrthodbSparql(
+  genes, org, config=defaultConfig, options={}
+) {
+  return await fetchHomologsFromOrthodbSparql(
+    genes, org, [org], config, options, true
+  )
+}
+
 // export {fetchOrthologsFromOrthodb, fetchOrthologsFromOrthodbSparql};
-export {fetchOrthologsFromOrthodbSparql};
+export {fetchOrthologsFromOrthodbSparql, fetchParalogsFromOrthodbSparql};
+
+// Also used by the local backend, which mimics SPARQL results
+export {getOrthologMap, sortTargetGenes, classifyTarget};
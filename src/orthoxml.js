@@ -0,0 +1,372 @@
+/**
+ * @fileoverview Read and write OrthoXML, to exchange orthologs with e.g. OMA,
+ * OrthoDB and Quest for Orthologs benchmarks
+ *
+ * OrthoXML lists genes by species, then nests references to them in groups.
+ * Genes in an orthologGroup are orthologs, unless they are in the same
+ * nested paralogGroup, which holds paralogs.  See https://orthoxml.org.
+ *
+ * Results map to OrthoXML like so: each gene's [source, ...targets] is an
+ * orthologGroup, in which several targets in one organism, e.g. after a
+ * duplication in that lineage, are a paralogGroup.  OrthoXML genes have only
+ * a gene ID and protein ID, so exported genes have their name as gene ID,
+ * and UniProt, OMA or OrthoDB ID as protein ID.  Coordinates and other IDs
+ * are omitted.
+ */
+
+import {InvalidInputError} from './error';
+import {normalizeOrganism} from './organism';
+import {createRecord} from './record';
+import {classifyRelationship} from './relationship';
+import {parseGeneInput, isUniprotAccession} from './gene-input';
+import packageJson from '../package.json';
+
+const namespace = 'http://orthoXML.org/2011/'
+
+// Database names by backend, for the `database` element
+const databaseNames = {
+  orthodb: 'OrthoDB',
+  oma: 'OMA',
+  ensembl: 'Ensembl',
+  ncbi: 'NCBI',
+  panther: 'PANTHER'
+}
+
+/** Escape text for an XML attribute value */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/** E.g. "mus musculus" -> "Mus musculus" */
+function getSpeciesName(org) {
+  return org.charAt(0).toUpperCase() + org.slice(1)
+}
+
+/** Get key that identifies a gene across results */
+function getGeneKey(record) {
+  return [record.org, record.name, record.location].join('\t')
+}
+
+/** E.g. {a: "1", b: "x"} -> ' a="1" b="x"', omitting null values */
+function formatAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([name, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('')
+}
+
+/**
+ * Export orthologs as an OrthoXML document
+ *
+ * Throws InvalidInputError for genes of an organism without an NCBI
+ * Taxonomy ID, as OrthoXML requires one for each species.
+ *
+ * @param {Array} orthologs Orthologs, as returned by `fetchOrthologs`
+ */
+export function toOrthoXML(orthologs) {
+  // Number genes, and group them by species, then database
+  const idsByKey = new Map()
+  const species = new Map()
+  orthologs.flat().forEach(record => {
+    const key = getGeneKey(record)
+    if (idsByKey.has(key)) return
+    idsByKey.set(key, idsByKey.size + 1)
+
+    if (!species.has(record.org)) {
+      if (!record.taxid) {
+        throw new InvalidInputError(
+          `Organism "${record.org}" lacks an NCBI Taxonomy ID, which ` +
+          'OrthoXML requires'
+        )
+      }
+      species.set(record.org, {taxid: record.taxid, genesByDatabase: {}})
+    }
+    const genesByDatabase = species.get(record.org).genesByDatabase
+    const database =
+      databaseNames[record.backend] ?? record.backend ?? 'unknown'
+    if (!(database in genesByDatabase)) genesByDatabase[database] = []
+    genesByDatabase[database].push(record)
+  })
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<orthoXML xmlns="${namespace}" version="0.3" origin="homology.js"` +
+    ` originVersion="${packageJson.version}">`
+  ]
+
+  species.forEach(({taxid, genesByDatabase}, org) => {
+    const name = getSpeciesName(org)
+    lines.push(`  <species${formatAttributes({name, NCBITaxId: taxid})}>`)
+    Object.entries(genesByDatabase).forEach(([database, records]) => {
+      const attributes = {name: database, version: 'unknown'}
+      lines.push(`    <database${formatAttributes(attributes)}>`)
+      lines.push('      <genes>')
+      records.forEach(record => {
+        const protId = record.uniprotId ?? record.omaId ?? record.orthodbId
+        const attributes = {
+          id: idsByKey.get(getGeneKey(record)), geneId: record.name, protId
+        }
+        lines.push(`        <gene${formatAttributes(attributes)}/>`)
+      })
+      lines.push('      </genes>')
+      lines.push('    </database>')
+    })
+    lines.push('  </species>')
+  })
+
+  const geneRef = record => {
+    return `<geneRef id="${idsByKey.get(getGeneKey(record))}"/>`
+  }
+
+  lines.push('  <groups>')
+  orthologs.forEach(([source, ...targets], i) => {
+    lines.push(`    <orthologGroup id="${i + 1}">`)
+    lines.push('      ' + geneRef(source))
+
+    const targetsByOrg = new Map()
+    targets.forEach(target => {
+      if (!targetsByOrg.has(target.org)) targetsByOrg.set(target.org, [])
+      targetsByOrg.get(target.org).push(target)
+    })
+    targetsByOrg.forEach(orgTargets => {
+      if (orgTargets.length === 1) {
+        lines.push('      ' + geneRef(orgTargets[0]))
+        return
+      }
+      lines.push('      <paralogGroup>')
+      orgTargets.forEach(target => lines.push('        ' + geneRef(target)))
+      lines.push('      </paralogGroup>')
+    })
+
+    lines.push('    </orthologGroup>')
+  })
+  lines.push('  </groups>')
+  lines.push('</orthoXML>')
+
+  return lines.join('\n') + '\n'
+}
+
+/** Decode XML entities, e.g. "&amp;" -> "&" */
+function decodeXml(text) {
+  const entities = {lt: '<', gt: '>', amp: '&', quot: '"', apos: "'"}
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] !== '#') return entities[code] ?? entity
+    const isHex = code[1].toLowerCase() === 'x'
+    const codePoint = parseInt(code.slice(isHex ? 2 : 1), isHex ? 16 : 10)
+    return String.fromCodePoint(codePoint)
+  })
+}
+
+/** Throw an error for an invalid OrthoXML document */
+function reportInvalid(reason) {
+  throw new InvalidInputError(`Invalid OrthoXML: ${reason}`)
+}
+
+const tagRegex =
+  /<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y
+
+const attributeRegex = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+
+/**
+ * Parse XML into a tree of elements like {name, attributes, children}
+ *
+ * This reads only elements and attributes, which is all OrthoXML needs, so
+ * it works alike in browsers and Node.  Namespace prefixes are dropped.
+ */
+function parseXml(xml) {
+  // Drop the prolog, comments and CDATA, which hold no elements
+  xml = xml
+    .replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>/g, '')
+    .replace(/<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>/i, '')
+
+  const root = {name: null, attributes: {}, children: []}
+  const stack = [root]
+  let index = 0
+
+  while (true) {
+    const nextTag = xml.indexOf('<', index)
+    if (nextTag === -1) break
+    index = nextTag
+
+    tagRegex.lastIndex = index
+    const match = tagRegex.exec(xml)
+    if (!match) reportInvalid(`malformed tag at character ${index}`)
+    index = tagRegex.lastIndex
+
+    const [, isClosing, qualifiedName, attributeText, isEmpty] = match
+    const name = qualifiedName.split(':').pop()
+
+    if (isClosing) {
+      if (stack.length === 1) reportInvalid(`unexpected </${name}>`)
+      const element = stack.pop()
+      if (element.name !== name) {
+        reportInvalid(`expected </${element.name}>, found </${name}>`)
+      }
+      continue
+    }
+
+    const attributes = {}
+    for (const [, attribute, double, single] of
+      attributeText.matchAll(attributeRegex)) {
+      attributes[attribute.split(':').pop()] = decodeXml(double ?? single)
+    }
+
+    const element = {name, attributes, children: []}
+    stack[stack.length - 1].children.push(element)
+    if (!isEmpty) stack.push(element)
+  }
+
+  if (stack.length > 1) reportInvalid(`unclosed <${stack.pop().name}>`)
+  if (root.children.length !== 1) reportInvalid('expected one root element')
+  return root.children[0]
+}
+
+/** Get child elements of a given name */
+function getChildren(element, name) {
+  return element.children.filter(child => child.name === name)
+}
+
+// OMA and OrthoDB IDs, e.g. "HUMAN00001" and "9606_0:002b4e"
+const omaIdRegex = /^[A-Z0-9]{5}\d{5}$/
+const orthodbIdRegex = /^\d+_\d+:[0-9a-f]+$/i
+
+/**
+ * Get record fields for an OrthoXML gene's IDs.  Gene IDs may be names, or
+ * Ensembl or NCBI Gene IDs; protein IDs may be UniProt, OMA or OrthoDB IDs.
+ */
+function getGeneFields({geneId, protId, transcriptId}) {
+  const fields = {}
+
+  if (geneId) {
+    const input = parseGeneInput(geneId)
+    if (typeof input === 'string') fields.name = input
+    else Object.assign(fields, input)
+  }
+
+  if (protId) {
+    if (omaIdRegex.test(protId)) fields.omaId = protId
+    else if (orthodbIdRegex.test(protId)) fields.orthodbId = protId
+    else if (isUniprotAccession(protId)) fields.uniprotId = protId
+    else {
+      const input = parseGeneInput(protId)
+      if (typeof input !== 'string') Object.assign(fields, input)
+    }
+  }
+
+  fields.name = fields.name ?? geneId ?? protId ?? transcriptId
+  return fields
+}
+
+/** Get records for OrthoXML genes, by gene ID */
+function getRecordsById(orthoXml) {
+  const recordsById = {}
+
+  getChildren(orthoXml, 'species').forEach(species => {
+    const {name, NCBITaxId} = species.attributes
+    if (!name) reportInvalid('<species> lacks a name')
+    const org = name.toLowerCase()
+
+    getChildren(species, 'database').forEach(database => {
+      const databaseName = database.attributes.name
+      const backend = Object.keys(databaseNames).find(backend => {
+        return databaseNames[backend] === databaseName
+      }) ?? databaseName
+
+      getChildren(database, 'genes').forEach(genes => {
+        getChildren(genes, 'gene').forEach(gene => {
+          const fields = getGeneFields(gene.attributes)
+          recordsById[gene.attributes.id] =
+            createRecord({...fields, org, taxid: NCBITaxId, backend})
+        })
+      })
+    })
+  })
+
+  return recordsById
+}
+
+/**
+ * Get references to genes in a group, with the groups they are nested in,
+ * outermost first, in document order
+ */
+function getGeneRefs(group, ancestors=[]) {
+  const path = [...ancestors, group]
+  return group.children.flatMap(child => {
+    if (child.name === 'geneRef') return [{id: child.attributes.id, path}]
+    if (child.name === 'orthologGroup' || child.name === 'paralogGroup') {
+      return getGeneRefs(child, path)
+    }
+    return []
+  })
+}
+
+/**
+ * Determine if two genes in a group are orthologs, i.e. if the innermost
+ * group containing both is an orthologGroup
+ */
+function isOrthologous(ref1, ref2) {
+  let i = 0
+  while (ref1.path[i + 1] && ref1.path[i + 1] === ref2.path[i + 1]) i++
+  return ref1.path[i].name === 'orthologGroup'
+}
+
+/**
+ * Parse an OrthoXML document into results like those of `fetchOrthologs`
+ *
+ * Each top-level group yields a [source, ...targets] array for each source
+ * gene, with its orthologs in other species as targets.  Source genes are
+ * those in `sourceOrg`, or else the first gene in each group.  Records lack
+ * coordinates, as OrthoXML does not have them.
+ *
+ * @param {String} xml OrthoXML document
+ * @param {Object} options
+ * @param {String} options.sourceOrg Organism of source genes, e.g. "human"
+ */
+export function parseOrthoXML(xml, {sourceOrg}={}) {
+  if (sourceOrg) sourceOrg = normalizeOrganism(sourceOrg)
+
+  const orthoXml = parseXml(xml)
+  if (orthoXml.name !== 'orthoXML') reportInvalid('root is not <orthoXML>')
+
+  const recordsById = getRecordsById(orthoXml)
+  const groups = getChildren(orthoXml, 'groups')[0]?.children ?? []
+
+  const orthologs = []
+  groups.forEach(group => {
+    const refs = getGeneRefs(group)
+    refs.forEach(ref => {
+      if (!(ref.id in recordsById)) reportInvalid(`unknown gene "${ref.id}"`)
+    })
+    const getOrg = ref => recordsById[ref.id].org
+
+    const sourceRefs = sourceOrg ?
+      refs.filter(ref => getOrg(ref) === sourceOrg) :
+      refs.slice(0, 1)
+
+    // Count orthologs of `ref` in an organism, to classify relationships
+    const countOrthologs = (ref, org) => refs.filter(other => {
+      return getOrg(other) === org && isOrthologous(ref, other)
+    }).length
+
+    sourceRefs.forEach(sourceRef => {
+      const source = recordsById[sourceRef.id]
+      const targets = refs
+        .filter(ref => {
+          return getOrg(ref) !== source.org && isOrthologous(sourceRef, ref)
+        })
+        .map(ref => {
+          const sourceCount = countOrthologs(ref, source.org)
+          const targetCount = countOrthologs(sourceRef, getOrg(ref))
+          const relationship = classifyRelationship(sourceCount, targetCount)
+          return {...recordsById[ref.id], relationship}
+        })
+      orthologs.push([source, ...targets])
+    })
+  })
+
+  return orthologs
+}
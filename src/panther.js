@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Client library for PANTHER
+ * API docs: https://pantherdb.org/services/details.jsp
+ *
+ * This module supports fetching orthologs from PANTHER, which covers many
+ * plant and microbial genomes.  PANTHER offers two modes:
+ * - least diverged orthologs ("LDO"), the default, or
+ * - all orthologs ("all").
+ *
+ * PANTHER does not report genomic coordinates, so locations are fetched
+ * from MyGene.info.  Genes MyGene.info lacks, as is common in plant and
+ * fungal genomes, have null coordinates.
+ */
+
+import {reportMissingTargets, InvalidInputError} from './error';
+import {defaultConfig} from './config';
+import {fetchCachedJson} from './cache';
+import {fetchMyGeneAnnots} from './lib';
+import {getTaxid} from './organism';
+import {getGeneSymbols} from './gene-input';
+import {createRecord} from './record';
+import {getAssembly} from './assembly';
+import {reportProgress} from './progress';
+
+// PANTHER genomes for organisms in organism-map.js.  PANTHER identifies
+// genomes by a taxid, sometimes that of a reference strain or subspecies,
+// and prefixes gene IDs with a UniProt species code.
+//
+// Source: https://pantherdb.org/services/oai/pantherdb/supportedgenomes
+export const pantherGenomesByName = {
+  'aedes aegypti': {taxid: '7159', code: 'AEDAE'},
+  'anopheles gambiae': {taxid: '7165', code: 'ANOGA'},
+  'arabidopsis thaliana': {taxid: '3702', code: 'ARATH'},
+  'aspergillus fumigatus': {taxid: '330879', code: 'ASPFU'},
+  'bos taurus': {taxid: '9913', code: 'BOVIN'},
+  'brachypodium distachyon': {taxid: '15368', code: 'BRADI'},
+  'caenorhabditis elegans': {taxid: '6239', code: 'CAEEL'},
+  'canis lupus familiaris': {taxid: '9615', code: 'CANLF'},
+  'ciona intestinalis': {taxid: '7719', code: 'CIOIN'},
+  'danio rerio': {taxid: '7955', code: 'DANRE'},
+  'drosophila melanogaster': {taxid: '7227', code: 'DROME'},
+  'equus caballus': {taxid: '9796', code: 'HORSE'},
+  'felis catus': {taxid: '9685', code: 'FELCA'},
+  'gallus gallus': {taxid: '9031', code: 'CHICK'},
+  'glycine max': {taxid: '3847', code: 'SOYBN'},
+  'gorilla gorilla': {taxid: '9595', code: 'GORGO'},
+  'homo sapiens': {taxid: '9606', code: 'HUMAN'},
+  'hordeum vulgare': {taxid: '112509', code: 'HORVV'},
+  'macaca mulatta': {taxid: '9544', code: 'MACMU'},
+  'mus musculus': {taxid: '10090', code: 'MOUSE'},
+  'musa acuminata': {taxid: '214687', code: 'MUSAM'},
+  'oryza sativa': {taxid: '39947', code: 'ORYSJ'},
+  'ornithorhynchus anatinus': {taxid: '9258', code: 'ORNAN'},
+  'pan troglodytes': {taxid: '9598', code: 'PANTR'},
+  'plasmodium falciparum': {taxid: '36329', code: 'PLAF7'},
+  'rattus norvegicus': {taxid: '10116', code: 'RAT'},
+  'saccharomyces cerevisiae': {taxid: '559292', code: 'YEAST'},
+  'solanum lycopersicum': {taxid: '4081', code: 'SOLLC'},
+  'sus scrofa': {taxid: '9823', code: 'PIG'},
+  'vitis vinifera': {taxid: '29760', code: 'VITVI'},
+  'zea mays': {taxid: '4577', code: 'MAIZE'}
+}
+
+/** Get PANTHER genome for an organism, or throw if PANTHER lacks it */
+function getPantherGenome(org) {
+  const genome = pantherGenomesByName[org]
+  if (!genome) {
+    throw new InvalidInputError(
+      `Organism "${org}" is not among PANTHER genomes`, {backend: 'panther'}
+    )
+  }
+  return genome
+}
+
+/**
+ * E.g. "MOUSE|MGI=MGI=1928394|UniProtKB=Q9JLN9" ->
+ * {code: 'MOUSE', uniprotId: 'Q9JLN9'}
+ */
+function parsePantherGeneId(pantherGeneId) {
+  const [code, ...xrefs] = pantherGeneId.split('|')
+  const uniprotXref = xrefs.find(xref => xref.startsWith('UniProtKB='))
+  const uniprotId = uniprotXref ? uniprotXref.split('=')[1] : null
+  return {code, uniprotId}
+}
+
+/**
+ * Query PANTHER for orthologs of genes, in one request
+ *
+ * Example:
+ * https://pantherdb.org/services/oai/pantherdb/ortholog/matchortho?geneInputList=MTOR&organism=9606&targetOrganism=10090&orthologType=LDO
+ */
+async function fetchPantherOrthologs(
+  genes, sourceGenome, targetGenomes, orthologType, config
+) {
+  const targetTaxids = targetGenomes.map(genome => genome.taxid).join(',')
+
+  const url =
+    config.endpoints.panther + 'ortholog/matchortho' +
+    '?geneInputList=' + genes.map(encodeURIComponent).join(',') +
+    '&organism=' + sourceGenome.taxid +
+    '&targetOrganism=' + targetTaxids +
+    '&orthologType=' + orthologType
+
+  const json = await fetchCachedJson(url, 'panther', config)
+
+  // PANTHER returns a lone match as an object, rather than in an array
+  const mapped = json.search.mapping?.mapped || []
+  return Array.isArray(mapped) ? mapped : [mapped]
+}
+
+/**
+ * Fetch locations of genes by symbol, omitting genes MyGene.info lacks
+ */
+async function fetchLocationsBySymbol(symbols, taxid, config, assembly) {
+  if (symbols.length === 0) return []
+  const {annots} = await fetchMyGeneAnnots(symbols, taxid, config, assembly)
+  return annots
+}
+
+/**
+ * Get the assembly to place an organism's genes on
+ *
+ * Locations come only from MyGene.info, so its assemblies are supported.
+ */
+function getPantherAssembly(org, options) {
+  const assembly = getAssembly(org, options.assembly?.[org])
+  if (assembly && !assembly.myGeneField) {
+    throw new InvalidInputError(
+      `Assembly "${assembly.name}" is not supported by the PANTHER backend`,
+      {backend: 'panther'}
+    )
+  }
+  return assembly
+}
+
+/**
+ * Given genes in a source organism, retrieve their orthologs in other
+ * organisms from PANTHER.
+ *
+ * Each returned ortholog is an array of the source gene, followed by its
+ * target genes grouped per target organism, as in the OrthoDB backend.
+ *
+ * @param {Object} options
+ * @param {String} options.orthologType "LDO" for least diverged orthologs
+ *   (default), or "all" for all orthologs
+ * @param {Object} options.assembly Assembly names by organism, e.g.
+ *   {"homo sapiens": "GRCh37"}; see assembly.js
+ */
+async function fetchOrthologsFromPanther(
+  genes, sourceOrg, targetOrgs, config=defaultConfig, options={}
+) {
+  const orthologType = options.orthologType || 'LDO'
+  if (orthologType !== 'LDO' && orthologType !== 'all') {
+    throw new InvalidInputError(
+      `Unknown PANTHER ortholog type "${orthologType}".  ` +
+      'Use "LDO" or "all".',
+      {backend: 'panther'}
+    )
+  }
+
+  genes = getGeneSymbols(genes, 'panther')
+  const sourceGenome = getPantherGenome(sourceOrg)
+  const targetGenomes = targetOrgs.map(getPantherGenome)
+
+  const sourceAssembly = getPantherAssembly(sourceOrg, options)
+  const targetAssemblies =
+    targetOrgs.map(targetOrg => getPantherAssembly(targetOrg, options))
+
+  reportProgress(options, 'query', 'panther')
+  const matches = await fetchPantherOrthologs(
+    genes, sourceGenome, targetGenomes, orthologType, config
+  )
+
+  const details = {sourceOrg, targetOrgs, backend: 'panther'}
+  const targetCodes = targetGenomes.map(genome => genome.code)
+
+  const matchesByGene = {}
+  genes.forEach(gene => {
+    matchesByGene[gene] = matches.filter(match => {
+      return match.id.toLowerCase() === gene.toLowerCase()
+    })
+    const foundOrgs = matchesByGene[gene].map(match => {
+      const {code} = parsePantherGeneId(match.target_gene)
+      return targetOrgs[targetCodes.indexOf(code)]
+    })
+    reportMissingTargets(foundOrgs, {...details, gene})
+  })
+
+  // Fetch locations of source and target genes, per organism, in parallel
+  reportProgress(options, 'locations', 'panther')
+  const sourceOrgIndex = -1
+  const orgIndexes = [sourceOrgIndex].concat(targetOrgs.map((org, i) => i))
+  const locationsByOrg = await Promise.all(orgIndexes.map(async i => {
+    if (i === sourceOrgIndex) {
+      return await fetchLocationsBySymbol(
+        genes, sourceGenome.taxid, config, sourceAssembly
+      )
+    }
+    const code = targetGenomes[i].code
+    const symbols = matches
+      .filter(match => parsePantherGeneId(match.target_gene).code === code)
+      .map(match => match.target_gene_symbol)
+    return await fetchLocationsBySymbol(
+      symbols, targetGenomes[i].taxid, config, targetAssemblies[i]
+    )
+  }))
+  const [sourceLocations, ...targetLocations] = locationsByOrg
+
+  /**
+   * Find annotation with location for a gene symbol, ignoring case.  Genes
+   * without one get null coordinates.
+   */
+  function findAnnot(annots, symbol) {
+    const annot = annots.find(annot => {
+      return annot.name.toLowerCase() === symbol.toLowerCase()
+    })
+    return annot || {}
+  }
+
+  return genes.map(gene => {
+    const sourceUniprotId = matchesByGene[gene].length > 0 ?
+      parsePantherGeneId(matchesByGene[gene][0].gene).uniprotId : null
+    const source = createRecord({
+      ...findAnnot(sourceLocations, gene),
+      name: gene,
+      org: sourceOrg,
+      taxid: getTaxid(sourceOrg),
+      backend: 'panther',
+      uniprotId: sourceUniprotId
+    })
+    const ortholog = [source]
+
+    targetOrgs.forEach((targetOrg, i) => {
+      const code = targetGenomes[i].code
+      matchesByGene[gene]
+        .filter(match => parsePantherGeneId(match.target_gene).code === code)
+        .forEach(match => {
+          const name = match.target_gene_symbol
+          const annot = findAnnot(targetLocations[i], name)
+          const uniprotId = parsePantherGeneId(match.target_gene).uniprotId
+          ortholog.push(createRecord({
+            ...annot,
+            name,
+            org: targetOrg,
+            taxid: getTaxid(targetOrg),
+            backend: 'panther',
+            uniprotId
+          }, {
+            id: uniprotId,
+            orthologyType: match.ortholog // e.g. LDO
+          }))
+        })
+    })
+
+    return ortholog
+  })
+}
+
+export default fetchOrthologsFromPanther;
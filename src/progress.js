@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Progress of ortholog requests, for incremental UIs
+ *
+ * Backends report each phase of their work as it starts, via the
+ * `onProgress` option.  Phases are:
+ *
+ *   query: finding homologs, e.g. via OrthoDB SPARQL or OMA
+ *   enrichment: fetching IDs and domains to disambiguate genes (OrthoDB)
+ *   locations: fetching genomic coordinates of genes
+ */
+
+export const progressPhases = ['query', 'enrichment', 'locations']
+
+/**
+ * Report that a backend started a phase, e.g. "locations"
+ *
+ * @param {Object} options Options given to the backend
+ * @param {String} phase One of `progressPhases`
+ * @param {String} backend Name of backend, e.g. "orthodb"
+ */
+export function reportProgress(options, phase, backend) {
+  if (options.onProgress) options.onProgress({phase, backend})
+}
@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Self-hostable proxy server for OrthoDB, for Node
+ *
+ * OrthoDB does not support CORS, so browsers cannot query it directly.  By
+ * default, Homology.js uses a proxy hosted on Firebase.  This server
+ * implements the same routes, so you can host your own:
+ *
+ *   import {createProxyServer} from 'homology/src/proxy';
+ *   createProxyServer({allowedOrigins: ['https://example.org']}).listen(5000);
+ *
+ *   const client = createHomologyClient({
+ *     endpoints: {orthodb: 'http://localhost:5000/orthodb/'}
+ *   });
+ *
+ * Or run `homology proxy --port 5000`.  Routes are:
+ *
+ *   /orthodb/sparql?query=...   OrthoDB SPARQL endpoint
+ *   /orthodb/ogdetails?id=...   OrthoDB REST API, as are `restRoutes`
+ *
+ * Successful responses are cached, by default in memory for as long as
+ * clients cache OrthoDB responses, keeping the 1000 most recently used.
+ * This is kept apart from the browser bundle, as it depends on Node's `http`
+ * module.
+ */
+
+import http from 'http';
+
+import {createMemoryCache, defaultCacheTtls} from './cache';
+import {getConfig} from './config';
+import {fetchResponse} from './request';
+import {UpstreamError} from './error';
+
+export const defaultUpstreams = {
+  sparql: 'https://sparql.orthodb.org/sparql',
+  rest: 'https://data.orthodb.org/current/'
+}
+
+// OrthoDB REST API routes that are forwarded as is
+export const restRoutes = [
+  'ogdetails', 'search', 'orthologs', 'group', 'siblings', 'tab', 'fasta'
+]
+
+// Client errors from OrthoDB are passed on, rather than retried or reported
+// as a failed upstream.  429 (too many requests) is retried.
+const passedStatuses = Array.from({length: 100}, (_, i) => 400 + i)
+  .filter(status => status !== 429)
+
+/**
+ * Get upstream URL for a request path, e.g. "/orthodb/ogdetails?id=1" ->
+ * "https://data.orthodb.org/current/ogdetails?id=1", or null if unknown
+ */
+function getUpstreamUrl(requestUrl, upstreams) {
+  const url = new URL(requestUrl, 'http://localhost')
+  const match = url.pathname.match(/^\/orthodb\/([a-z]+)\/?$/)
+  if (!match) return null
+  const route = match[1]
+
+  if (route === 'sparql') {
+    const query = url.searchParams.get('query')
+    if (!query) return null
+
+    // Clients URL-encode "|" in gene lists before encoding the whole query,
+    // so decode it here, as the Firebase proxy did.  See orthodb.js.
+    const decodedQuery = query.replace(/%7C/gi, '|')
+    return upstreams.sparql + '?query=' + encodeURIComponent(decodedQuery)
+  }
+
+  if (!restRoutes.includes(route)) return null
+  return upstreams.rest + route + url.search
+}
+
+/** Get value for the Access-Control-Allow-Origin header, or null if none */
+function getAllowedOrigin(origin, allowedOrigins) {
+  if (allowedOrigins === '*') return '*'
+  return allowedOrigins.includes(origin) ? origin : null
+}
+
+/**
+ * Create a request handler for `http.createServer`, e.g. to mount in an
+ * existing server
+ *
+ * @param {Object} options
+ * @param {Object} options.upstreams Base URLs, as in `defaultUpstreams`: a
+ *   SPARQL endpoint, and a REST API ending in "/"
+ * @param {String|Array} options.allowedOrigins Origins allowed by CORS, or
+ *   "*" for any (default)
+ * @param {Object} options.cache Response cache, as described in cache.js.
+ *   Set to `null` to disable caching.
+ * @param {Number} options.cacheSize Most responses to keep in the default
+ *   in-memory cache
+ * @param {Number} options.cacheTtl Milliseconds to cache responses for
+ * @param {Function} options.fetch `fetch` implementation for upstream
+ *   requests.  Retries, timeouts and other options are as in `getConfig`.
+ */
+export function createProxyHandler({
+  upstreams={}, allowedOrigins='*', cacheSize=1000,
+  cache=createMemoryCache({maxEntries: cacheSize}),
+  cacheTtl=defaultCacheTtls.orthodb, ...configOptions
+}={}) {
+  upstreams = {...defaultUpstreams, ...upstreams}
+  const config = getConfig({...configOptions, cache: null})
+
+  function send(res, status, headers, body) {
+    res.writeHead(status, headers)
+    res.end(body)
+  }
+
+  function sendError(res, status, headers, message) {
+    const body = JSON.stringify({error: message})
+    send(res, status, {...headers, 'Content-Type': 'application/json'}, body)
+  }
+
+  async function respond(req, res, headers) {
+    if (req.method === 'OPTIONS') return send(res, 204, headers)
+    if (req.method !== 'GET') {
+      return send(res, 405, {...headers, 'Allow': 'GET, OPTIONS'})
+    }
+
+    const upstreamUrl = getUpstreamUrl(req.url, upstreams)
+    if (!upstreamUrl) {
+      return sendError(res, 404, headers, `Unknown route "${req.url}"`)
+    }
+
+    let entry = await cache?.get(upstreamUrl)
+    headers['X-Cache'] = entry ? 'HIT' : 'MISS'
+
+    if (!entry) {
+      try {
+        const response = await fetchResponse(upstreamUrl, 'orthodb', config, {
+          headers: {'Accept': 'application/sparql-results+json, */*'}
+        }, passedStatuses)
+        entry = {
+          status: response.status,
+          contentType: response.headers.get('Content-Type'),
+          body: await response.text()
+        }
+      } catch (error) {
+        const status = error instanceof UpstreamError ? 502 : 500
+        return sendError(res, status, headers, error.message)
+      }
+      if (entry.status === 200) await cache?.set(upstreamUrl, entry, cacheTtl)
+    }
+
+    if (entry.contentType) headers['Content-Type'] = entry.contentType
+    send(res, entry.status, headers, entry.body)
+  }
+
+  return async function handleRequest(req, res) {
+    const headers = {}
+    const origin = getAllowedOrigin(req.headers.origin, allowedOrigins)
+    if (origin) {
+      headers['Access-Control-Allow-Origin'] = origin
+      headers['Access-Control-Allow-Methods'] = 'GET, OPTIONS'
+      headers['Access-Control-Allow-Headers'] = 'Content-Type'
+    }
+    if (allowedOrigins !== '*') headers['Vary'] = 'Origin'
+
+    // Errors, e.g. from a custom cache, fail the request, not the process
+    try {
+      await respond(req, res, headers)
+    } catch (error) {
+      if (res.headersSent) return res.destroy()
+      sendError(res, 500, headers, error.message)
+    }
+  }
+}
+
+/**
+ * Create an HTTP server that proxies OrthoDB.  Call `listen` to start it.
+ * Options are as for `createProxyHandler`.
+ */
+export function createProxyServer(options) {
+  return http.createServer(createProxyHandler(options))
+}
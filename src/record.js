@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Gene records in results, in a shape shared by all backends
+ *
+ * Each source and target gene in results is a record like:
+ *
+ *   {
+ *     version: 1,
+ *     name: 'Mtor',
+ *     location: '4:148448582-148557685',
+ *     chr: '4', start: 148448582, stop: 148557685, strand: 1,
+ *     assembly: 'GRCm39',
+ *     org: 'mus musculus', taxid: '10090',
+ *     backend: 'orthodb',
+ *     ensemblId: 'ENSMUSG00000028991', ncbiGeneId: '56717', uniprotId: null,
+ *     orthodbId: '10090_0:001d43', omaId: null,
+ *     relationship: 'one-to-one'
+ *   }
+ *
+ * Fields a backend does not report are null.  `relationship` is null for
+ * source genes; see relationship.js.  Backends may add their own fields,
+ * e.g. `orthologyType` in Ensembl records.  `location` predates the other
+ * coordinate fields, and is kept for backward compatibility.  `assembly` is
+ * the genome assembly coordinates are on, if known; see assembly.js.  For
+ * organisms not listed there, coordinates are on the backend's current
+ * assembly, and `assembly` is null unless the backend names it, as Ensembl
+ * does.  It is always null in OMA records.
+ *
+ * `version` is incremented when the record shape changes incompatibly.
+ */
+
+export const recordVersion = 1
+
+export const idFields =
+  ['ensemblId', 'ncbiGeneId', 'uniprotId', 'orthodbId', 'omaId']
+
+/** E.g. null -> null, 10090 -> "10090" */
+function toStringOrNull(value) {
+  return value === null || typeof value === 'undefined' ? null : String(value)
+}
+
+/**
+ * Create a gene record
+ *
+ * @param {Object} fields Fields listed above.  Others are ignored, so e.g.
+ *   annotations from lib.js can be passed as is.  Start and stop are
+ *   ordered, so start <= stop.  `location` is derived if not given.
+ * @param {Object} extraFields Backend-specific fields to add
+ */
+export function createRecord(fields, extraFields={}) {
+  const {
+    name, chr, strand, assembly, org, taxid, backend, relationship
+  } = fields
+  const hasCoordinates = toStringOrNull(chr) !== null
+
+  let {start, stop, location} = fields
+  if (hasCoordinates && start > stop) [start, stop] = [stop, start]
+  if (!location && hasCoordinates) location = chr + ':' + start + '-' + stop
+
+  const record = {
+    version: recordVersion,
+    name,
+    location,
+    chr: toStringOrNull(chr),
+    start: hasCoordinates ? start : null,
+    stop: hasCoordinates ? stop : null,
+    strand: strand ?? null,
+    assembly: hasCoordinates ? assembly ?? null : null,
+    org: org ?? null,
+    taxid: toStringOrNull(taxid),
+    backend
+  }
+
+  idFields.forEach(field => record[field] = toStringOrNull(fields[field]))
+
+  record.relationship = relationship ?? null
+
+  return {...record, ...extraFields}
+}
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Classify orthology relationships, e.g. "one-to-many"
+ *
+ * Relationships are classified by how many genes are on each side:
+ *
+ *   one-to-one: the source gene has one ortholog in the target organism,
+ *     which has only the source gene as ortholog in the source organism
+ *   one-to-many: the source gene has several orthologs in the target
+ *     organism, e.g. after a duplication in the target lineage
+ *   many-to-one: the target gene has several orthologs in the source
+ *     organism, e.g. after a duplication in the source lineage
+ *   many-to-many: both
+ *
+ * Anything but one-to-one is an ambiguous mapping, which may warrant care
+ * before transferring annotations.
+ */
+
+import {InvalidInputError} from './error';
+
+export const relationships =
+  ['one-to-one', 'one-to-many', 'many-to-one', 'many-to-many']
+
+/** E.g. 1 source gene and 2 target genes -> "one-to-many" */
+export function classifyRelationship(sourceCount, targetCount) {
+  const source = sourceCount > 1 ? 'many' : 'one'
+  const target = targetCount > 1 ? 'many' : 'one'
+  return source + '-to-' + target
+}
+
+// OMA relation types.  OMA writes "m" or "n" for many.
+// See https://omabrowser.org/api/docs
+const relationshipsByOmaRelType = {
+  '1:1': 'one-to-one',
+  '1:n': 'one-to-many',
+  '1:m': 'one-to-many',
+  'n:1': 'many-to-one',
+  'm:1': 'many-to-one',
+  'n:m': 'many-to-many',
+  'm:n': 'many-to-many'
+}
+
+/** E.g. "1:n" -> "one-to-many"; unknown types -> null */
+export function getOmaRelationship(relType) {
+  return relationshipsByOmaRelType[relType] || null
+}
+
+/**
+ * E.g. "ortholog_one2one" -> "one-to-one"
+ *
+ * Ensembl's "ortholog_one2many" does not say which side has many genes, so
+ * that is inferred from how many orthologs the source gene has in the
+ * target organism.
+ */
+export function getEnsemblRelationship(type, targetCount) {
+  if (type === 'ortholog_one2one') return 'one-to-one'
+  if (type === 'ortholog_many2many') return 'many-to-many'
+  if (type === 'ortholog_one2many') {
+    return targetCount > 1 ? 'one-to-many' : 'many-to-one'
+  }
+  return null
+}
+
+/**
+ * Get relationships to keep for the `only` option, e.g. "one-to-one" ->
+ * ["one-to-one"].  Throws InvalidInputError for unknown relationships.
+ */
+export function parseRelationshipFilter(only) {
+  const kept = Array.isArray(only) ? only : [only]
+
+  kept.forEach(relationship => {
+    if (!relationships.includes(relationship)) {
+      const names = relationships.map(name => `"${name}"`).join(', ')
+      throw new InvalidInputError(
+        `Unknown relationship "${relationship}".  Use one of: ${names}.`
+      )
+    }
+  })
+
+  return kept
+}
+
+/**
+ * Keep only targets with given relationships
+ *
+ * Targets with unknown relationships are omitted.  Sources are always kept,
+ * so a gene with no such target yields an array of only its source.
+ *
+ * @param {Array} orthologs Results, as returned by `fetchOrthologs`
+ * @param {Array} kept Relationships to keep, e.g. ["one-to-one"]
+ */
+export function filterByRelationship(orthologs, kept) {
+  return orthologs.map(([source, ...targets]) => {
+    return [source, ...targets.filter(t => kept.includes(t.relationship))]
+  })
+}
@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Requests to upstream services
+ *
+ * Every request goes through `fetchResponse`, which:
+ *
+ *   - waits for the service's rate limit, e.g. 10 requests per second for
+ *     NCBI E-utilities with an API key, or 3 without one
+ *   - times out after `config.timeout` milliseconds
+ *   - retries network failures, timeouts, and 429 and 5xx responses, with
+ *     exponential backoff, as set in `config.retry`
+ *   - is cancelled when `config.signal`, an AbortSignal, is aborted
+ *
+ * Failures are reported as `UpstreamError`s, so callers can tell them apart
+ * from e.g. genes that were not found.  Cancelled requests reject with the
+ * signal's AbortError.
+ */
+
+import {reportError, UpstreamError} from './error';
+
+/** Get the error to reject with when a signal is aborted */
+export function getAbortError(signal) {
+  if (signal.reason) return signal.reason
+  const error = new Error('The operation was aborted')
+  error.name = 'AbortError'
+  return error
+}
+
+/** Wait some milliseconds, unless `signal` is aborted first */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(getAbortError(signal))
+
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(getAbortError(signal))
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, {once: true})
+  })
+}
+
+/**
+ * Create a function that resolves when the next request may be sent, so that
+ * at most `requestsPerSecond` requests are sent each second
+ */
+export function createRateLimiter(requestsPerSecond) {
+  const interval = 1000 / requestsPerSecond
+  let nextTime = 0
+
+  return async function waitForSlot(signal) {
+    const now = Date.now()
+    const time = Math.max(now, nextTime)
+    nextTime = time + interval
+    if (time > now) await sleep(time - now, signal)
+  }
+}
+
+/**
+ * Determine if an error is from a failed or cancelled request, rather than
+ * e.g. missing data.  Such errors should be rethrown, not reported as
+ * genes or orthologs not found.
+ */
+export function isRequestError(error) {
+  return error instanceof UpstreamError || error?.name === 'AbortError'
+}
+
+/** Determine if a response status is worth retrying */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500
+}
+
+/**
+ * Get milliseconds to wait before a retry, from the response's
+ * Retry-After header if any, else by exponential backoff
+ */
+function getRetryDelay(attempt, response, retry) {
+  const retryAfter = parseFloat(response?.headers?.get?.('Retry-After'))
+  if (!isNaN(retryAfter)) return Math.min(retryAfter * 1000, retry.maxDelay)
+  return Math.min(retry.baseDelay * 2 ** attempt, retry.maxDelay)
+}
+
+/**
+ * Make one request attempt, aborting it if it times out or `config.signal`
+ * is aborted.  Returns the response, or the error it failed with.
+ */
+async function attemptFetch(url, config, init) {
+  const controller = new AbortController()
+  const onAbort = () => controller.abort()
+  config.signal?.addEventListener('abort', onAbort, {once: true})
+
+  let timedOut = false
+  const timer = config.timeout ? setTimeout(() => {
+    timedOut = true
+    controller.abort()
+  }, config.timeout) : null
+
+  try {
+    const response =
+      await config.fetch(url, {...init, signal: controller.signal})
+    return {response}
+  } catch (error) {
+    if (timedOut) {
+      return {error: Error(`Request timed out after ${config.timeout} ms`)}
+    }
+    return {error}
+  } finally {
+    clearTimeout(timer)
+    config.signal?.removeEventListener('abort', onAbort)
+  }
+}
+
+/**
+ * Fetch a URL, throwing an UpstreamError if the request fails
+ *
+ * Client errors (4xx) other than 429 are also failures, unless listed in
+ * `allowedStatuses`, as some services use them to signal absent records,
+ * e.g. OMA's 404 for unknown proteins.
+ *
+ * @param {String} url URL to fetch
+ * @param {String} backend Name of service, e.g. "orthodb"
+ * @param {Object} config Configuration, as returned by `getConfig`
+ * @param {Object} init Options for `fetch`, e.g. method and body for POST
+ * @param {Array} allowedStatuses Error statuses to return, not throw
+ */
+export async function fetchResponse(
+  url, backend, config, init={}, allowedStatuses=[]
+) {
+  const retry = config.retry
+  const signal = config.signal
+  const waitForSlot = config.rateLimiters?.[backend]
+
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) throw getAbortError(signal)
+    if (waitForSlot) await waitForSlot(signal)
+
+    const {response, error} = await attemptFetch(url, config, init)
+    if (signal?.aborted) throw getAbortError(signal)
+
+    const status = response?.status
+    const canRetry = attempt < retry.retries
+    if (error || isRetryableStatus(status)) {
+      if (canRetry) {
+        await sleep(getRetryDelay(attempt, response, retry), signal)
+        continue
+      }
+      reportError('upstreamError', {backend, status, cause: error})
+    }
+
+    if (response.ok === false && !allowedStatuses.includes(status)) {
+      reportError('upstreamError', {backend, status})
+    }
+
+    return response
+  }
+}
+
+/** Parse a response as JSON, throwing an UpstreamError if it is malformed */
+export async function parseJson(response, backend) {
+  try {
+    return await response.json()
+  } catch (error) {
+    reportError('upstreamError', {backend, cause: error})
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Async iterables of values that arrive over time
+ *
+ * Used by `streamOrthologs`, so callers can handle each gene's result as
+ * soon as it is ready:
+ *
+ *   for await (const event of client.streamOrthologs(genes, org, orgs)) {
+ *     if (event.type === 'result') render(event.ortholog)
+ *   }
+ */
+
+/**
+ * Create a queue that is read as an async iterable
+ *
+ * Producers call `push(value)` for each value, then `end()`, or `fail(error)`
+ * to make the reader throw after reading values pushed so far.
+ *
+ * @param {Function} onReturn Called if the reader stops early, e.g. to
+ *   cancel producers
+ */
+export function createAsyncQueue(onReturn=() => {}) {
+  const values = []
+  const readers = []
+  let isEnded = false
+  let failure = null
+
+  function flush() {
+    while (readers.length > 0) {
+      const reader = readers[0]
+      if (values.length > 0) {
+        reader.resolve({value: values.shift(), done: false})
+      } else if (failure) {
+        reader.reject(failure)
+        failure = null
+      } else if (isEnded) {
+        reader.resolve({value: undefined, done: true})
+      } else {
+        return
+      }
+      readers.shift()
+    }
+  }
+
+  return {
+    push(value) {
+      if (isEnded) return
+      values.push(value)
+      flush()
+    },
+
+    end() {
+      isEnded = true
+      flush()
+    },
+
+    fail(error) {
+      if (isEnded) return
+      failure = error
+      isEnded = true
+      flush()
+    },
+
+    next() {
+      return new Promise((resolve, reject) => {
+        readers.push({resolve, reject})
+        flush()
+      })
+    },
+
+    // Stops early, e.g. on `break` in a `for await` loop
+    async return() {
+      if (!isEnded) onReturn()
+      isEnded = true
+      values.length = 0
+      failure = null
+      flush()
+      return {value: undefined, done: true}
+    },
+
+    [Symbol.asyncIterator]() {
+      return this
+    }
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Find synteny blocks, i.e. runs of genes in conserved order
+ *
+ * Given orthologs with coordinates, as from `fetchOrthologs`, source-target
+ * pairs are chained into blocks where consecutive genes are collinear on
+ * both genomes: ordered alike ("same" orientation), or in reverse
+ * ("inverted").  Each block is like:
+ *
+ *   {
+ *     orientation: 'same',
+ *     source: {org: 'homo sapiens', taxid: '9606', chr: '1',
+ *       start: 11106535, stop: 11262551},
+ *     target: {org: 'mus musculus', taxid: '10090', chr: '4',
+ *       start: 148448582, stop: 148557685},
+ *     genes: [[sourceRecord, targetRecord], ...]
+ *   }
+ *
+ * Genes in a block are in source order.  Chaining is greedy, as in
+ * DAGchainer: the longest chain is taken first, then the longest among the
+ * remaining pairs, and so on, so each pair is in at most one block.
+ */
+
+import {InvalidInputError} from './error';
+
+export const defaultSyntenyOptions = {
+  minGenes: 3,
+  maxGap: 1000000
+}
+
+/** Determine if a record has genomic coordinates */
+function hasCoordinates(record) {
+  return record.chr !== null && record.start !== null
+}
+
+/**
+ * Get pairs of source and target genes with coordinates, grouped by source
+ * chromosome, target organism and target chromosome
+ */
+function getPairGroups(orthologs) {
+  const groups = new Map()
+  const seen = new Set()
+
+  orthologs.forEach(([source, ...targets]) => {
+    if (!hasCoordinates(source)) return
+    targets.filter(hasCoordinates).forEach(target => {
+      const pairKey = [source.location, target.org, target.location].join()
+      if (seen.has(pairKey)) return
+      seen.add(pairKey)
+
+      const groupKey = [source.chr, target.org, target.chr].join('\t')
+      if (!groups.has(groupKey)) groups.set(groupKey, [])
+      groups.get(groupKey).push([source, target])
+    })
+  })
+
+  return [...groups.values()]
+}
+
+/**
+ * Get the longest chain of collinear pairs, as indexes into `pairs`, which
+ * are sorted by source start.  `direction` is 1 for same orientation, -1
+ * for inverted.
+ */
+function getLongestChain(pairs, direction, maxGap) {
+  const lengths = []
+  const previous = []
+
+  pairs.forEach(([source, target], i) => {
+    lengths[i] = 1
+    previous[i] = -1
+    for (let j = i - 1; j >= 0; j--) {
+      const [prevSource, prevTarget] = pairs[j]
+      const sourceGap = source.start - prevSource.stop
+      if (sourceGap > maxGap) break
+      if (prevSource.start >= source.start) continue
+
+      // Distance along the target, in the chain's direction
+      const targetGap = direction === 1 ?
+        target.start - prevTarget.stop :
+        prevTarget.start - target.stop
+      const isCollinear = direction === 1 ?
+        prevTarget.start < target.start :
+        prevTarget.start > target.start
+      if (!isCollinear || targetGap > maxGap) continue
+
+      if (lengths[j] + 1 > lengths[i]) {
+        lengths[i] = lengths[j] + 1
+        previous[i] = j
+      }
+    }
+  })
+
+  let end = -1
+  lengths.forEach((length, i) => {
+    if (end === -1 || length > lengths[end]) end = i
+  })
+
+  const chain = []
+  for (let i = end; i !== -1; i = previous[i]) chain.unshift(i)
+  return chain
+}
+
+/** Get the span of some records, e.g. a block's source genes */
+function getSpan(records) {
+  const {org, taxid, chr} = records[0]
+  const start = Math.min(...records.map(record => record.start))
+  const stop = Math.max(...records.map(record => record.stop))
+  return {org, taxid, chr, start, stop}
+}
+
+/** Get a block for a chain of pairs */
+function getBlock(genes, direction) {
+  return {
+    orientation: direction === 1 ? 'same' : 'inverted',
+    source: getSpan(genes.map(([source]) => source)),
+    target: getSpan(genes.map(([, target]) => target)),
+    genes
+  }
+}
+
+/** Throw InvalidInputError unless a synteny option is a valid number */
+function checkOption(name, value, min) {
+  if (!Number.isFinite(value) || value < min) {
+    throw new InvalidInputError(
+      `Invalid ${name} "${value}"; use a number of at least ${min}`
+    )
+  }
+}
+
+/**
+ * Find synteny blocks among orthologs
+ *
+ * @param {Array} orthologs Orthologs, as returned by `fetchOrthologs`.
+ *   Genes without coordinates are ignored.
+ * @param {Object} options
+ * @param {Number} options.minGenes Fewest gene pairs in a block; 3 by
+ *   default, and at least 2, to tell orientation
+ * @param {Number} options.maxGap Most base pairs between consecutive genes
+ *   in a block, on both source and target; 1 Mb by default.  Results
+ *   usually hold only queried genes, so gaps are in base pairs rather than
+ *   genes.
+ */
+export function findSyntenyBlocks(orthologs, options={}) {
+  const {minGenes, maxGap} = {...defaultSyntenyOptions, ...options}
+  checkOption('minGenes', minGenes, 2)
+  checkOption('maxGap', maxGap, 0)
+
+  const blocks = []
+
+  getPairGroups(orthologs).forEach(pairs => {
+    pairs.sort(([a], [b]) => a.start - b.start)
+
+    // Take the longest chain in either orientation, until none is long enough
+    while (pairs.length >= minGenes) {
+      const same = getLongestChain(pairs, 1, maxGap)
+      const inverted = getLongestChain(pairs, -1, maxGap)
+      const [chain, direction] =
+        inverted.length > same.length ? [inverted, -1] : [same, 1]
+      if (chain.length < minGenes) break
+
+      blocks.push(getBlock(chain.map(i => pairs[i]), direction))
+      pairs = pairs.filter((pair, i) => !chain.includes(i))
+    }
+  })
+
+  // Sort by source position, e.g. "2" before "10"
+  return blocks.sort((a, b) => {
+    const byChr = a.source.chr.localeCompare(
+      b.source.chr, undefined, {numeric: true}
+    )
+    return byChr || a.source.start - b.source.start
+  })
+}
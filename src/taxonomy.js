@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Bundled snapshot of species taxonomy, for resolving organisms
+ *
+ * Lists 136 widely studied species, out of the thousands in OrthoDB and OMA,
+ * by NCBI Taxonomy ID, scientific name, and common names.  Names are
+ * lowercase.  Taxids in organism-map.js take precedence over those here, as
+ * they are the ones OrthoDB uses.  `fetchOrganism` in organism.js looks up
+ * other species in NCBI Taxonomy.
+ */
+
+// [taxid, scientific name, common names]
+export const taxonomy = [
+  ['7159', 'aedes aegypti', ['yellow fever mosquito']],
+  ['7029', 'acyrthosiphon pisum', ['pea aphid']],
+  ['8496', 'alligator mississippiensis', ['american alligator']],
+  ['8839', 'anas platyrhynchos', ['mallard']],
+  ['28377', 'anolis carolinensis', ['green anole']],
+  ['7165', 'anopheles gambiae', ['african malaria mosquito']],
+  ['7460', 'apis mellifera', ['honey bee']],
+  ['3702', 'arabidopsis thaliana', ['thale cress']],
+  ['746128', 'aspergillus fumigatus', []],
+  ['5061', 'aspergillus niger', []],
+  ['5062', 'aspergillus oryzae', ['koji mold']],
+  ['7994', 'astyanax mexicanus', ['mexican tetra', 'cavefish']],
+  ['9913', 'bos taurus', ['cattle', 'cow']],
+  ['7091', 'bombyx mori', ['domestic silkworm', 'silkworm']],
+  ['15368', 'brachypodium distachyon', ['purple false brome']],
+  ['7739', 'branchiostoma floridae', ['florida lancelet', 'amphioxus']],
+  ['3708', 'brassica napus', ['rapeseed']],
+  ['3711', 'brassica rapa', ['field mustard']],
+  ['6238', 'caenorhabditis briggsae', []],
+  ['6239', 'caenorhabditis elegans', []],
+  ['9483', 'callithrix jacchus', ['common marmoset', 'marmoset']],
+  ['7868', 'callorhinchus milii', ['elephant shark']],
+  ['9838', 'camelus dromedarius', ['dromedary']],
+  ['5476', 'candida albicans', []],
+  ['9615', 'canis lupus familiaris', ['dog']],
+  ['9925', 'capra hircus', ['goat']],
+  ['4072', 'capsicum annuum', ['bell pepper']],
+  ['10141', 'cavia porcellus', ['guinea pig']],
+  ['34839', 'chinchilla lanigera', ['long-tailed chinchilla', 'chinchilla']],
+  ['3055', 'chlamydomonas reinhardtii', []],
+  ['60711', 'chlorocebus sabaeus', ['green monkey']],
+  ['8479', 'chrysemys picta', ['painted turtle']],
+  ['7719', 'ciona intestinalis', ['vase tunicate']],
+  ['8932', 'columba livia', ['rock pigeon']],
+  ['29159', 'crassostrea gigas', ['pacific oyster']],
+  ['10029', 'cricetulus griseus', ['chinese hamster']],
+  ['5207', 'cryptococcus neoformans', []],
+  ['3659', 'cucumis sativus', ['cucumber']],
+  ['7176', 'culex quinquefasciatus', ['southern house mosquito']],
+  ['7962', 'cyprinus carpio', ['common carp']],
+  ['6669', 'daphnia pulex', ['common water flea']],
+  ['13037', 'danaus plexippus', ['monarch butterfly']],
+  ['7955', 'danio rerio', ['zebrafish']],
+  ['44689', 'dictyostelium discoideum', []],
+  ['10020', 'dipodomys ordii', ["ord's kangaroo rat"]],
+  ['7227', 'drosophila melanogaster', ['fruit fly']],
+  ['7237', 'drosophila pseudoobscura', []],
+  ['9793', 'equus asinus', ['donkey']],
+  ['9796', 'equus caballus', ['horse']],
+  ['9365', 'erinaceus europaeus', ['european hedgehog', 'hedgehog']],
+  ['8010', 'esox lucius', ['northern pike']],
+  ['9685', 'felis catus', ['cat']],
+  ['9031', 'gallus gallus', ['chicken']],
+  ['69293', 'gasterosteus aculeatus', ['three-spined stickleback']],
+  ['5741', 'giardia intestinalis', []],
+  ['3847', 'glycine max', ['soybean']],
+  ['9593', 'gorilla gorilla', ['western gorilla', 'gorilla']],
+  ['10181', 'heterocephalus glaber', ['naked mole-rat']],
+  ['9606', 'homo sapiens', ['human']],
+  ['4513', 'hordeum vulgare', ['barley']],
+  ['7998', 'ictalurus punctatus', ['channel catfish']],
+  ['43179', 'ictidomys tridecemlineatus', ['thirteen-lined ground squirrel']],
+  ['6945', 'ixodes scapularis', ['black-legged tick', 'deer tick']],
+  ['7897', 'latimeria chalumnae', ['coelacanth']],
+  ['5664', 'leishmania major', []],
+  ['7918', 'lepisosteus oculatus', ['spotted gar']],
+  ['9785', 'loxodonta africana', ['african elephant']],
+  ['9541', 'macaca fascicularis', ['crab-eating macaque', 'macaque']],
+  ['9544', 'macaca mulatta', ['rhesus macaque', 'rhesus monkey', 'macaque']],
+  ['9545', 'macaca nemestrina', ['pig-tailed macaque', 'macaque']],
+  ['9315', 'macropus eugenii', ['tammar wallaby']],
+  ['3750', 'malus domestica', ['apple']],
+  ['3880', 'medicago truncatula', ['barrel medic']],
+  ['9103', 'meleagris gallopavo', ['turkey']],
+  ['10036', 'mesocricetus auratus', ['golden hamster']],
+  ['30608', 'microcebus murinus', ['gray mouse lemur']],
+  ['13616', 'monodelphis domestica', ['gray short-tailed opossum', 'opossum']],
+  ['10090', 'mus musculus', ['house mouse', 'mouse']],
+  ['4641', 'musa acuminata', ['banana']],
+  ['9669', 'mustela putorius furo', ['ferret']],
+  ['59463', 'myotis lucifugus', ['little brown bat']],
+  ['45351', 'nematostella vectensis', ['starlet sea anemone']],
+  ['5141', 'neurospora crassa', []],
+  ['4097', 'nicotiana tabacum', ['common tobacco', 'tobacco']],
+  ['61853', 'nomascus leucogenys', ['northern white-cheeked gibbon']],
+  ['105023', 'nothobranchius furzeri', ['turquoise killifish']],
+  ['37653', 'octopus bimaculoides', ['california two-spot octopus']],
+  ['10160', 'octodon degus', ['degu']],
+  ['8022', 'oncorhynchus mykiss', ['rainbow trout']],
+  ['9258', 'ornithorhynchus anatinus', ['platypus']],
+  ['9986', 'oryctolagus cuniculus', ['rabbit']],
+  ['4530', 'oryza sativa', ['rice']],
+  ['8090', 'oryzias latipes', ['japanese medaka', 'medaka']],
+  ['30611', 'otolemur garnettii', ['small-eared galago']],
+  ['9940', 'ovis aries', ['sheep']],
+  ['9597', 'pan paniscus', ['bonobo', 'pygmy chimpanzee']],
+  ['9598', 'pan troglodytes', ['chimpanzee']],
+  ['9555', 'papio anubis', ['olive baboon']],
+  ['10042', 'peromyscus maniculatus', ['north american deer mouse']],
+  ['7757', 'petromyzon marinus', ['sea lamprey']],
+  ['3218', 'physcomitrium patens', []],
+  ['5833', 'plasmodium falciparum', ['malaria parasite']],
+  ['5855', 'plasmodium vivax', []],
+  ['8081', 'poecilia reticulata', ['guppy']],
+  ['9601', 'pongo abelii', ['sumatran orangutan']],
+  ['3694', 'populus trichocarpa', ['black cottonwood']],
+  ['176946', 'python bivittatus', ['burmese python']],
+  ['10116', 'rattus norvegicus', ['norway rat', 'rat']],
+  ['4932', 'saccharomyces cerevisiae', ["baker's yeast", 'yeast']],
+  ['8030', 'salmo salar', ['atlantic salmon']],
+  ['9305', 'sarcophilus harrisii', ['tasmanian devil']],
+  ['6183', 'schistosoma mansoni', []],
+  ['4896', 'schizosaccharomyces pombe', ['fission yeast', 'yeast']],
+  ['88036', 'selaginella moellendorffii', []],
+  ['4555', 'setaria italica', ['foxtail millet']],
+  ['4081', 'solanum lycopersicum', ['tomato']],
+  ['4113', 'solanum tuberosum', ['potato']],
+  ['42254', 'sorex araneus', ['common shrew']],
+  ['4558', 'sorghum bicolor', ['sorghum']],
+  ['7668', 'strongylocentrotus purpuratus', ['purple sea urchin']],
+  ['9823', 'sus scrofa', ['pig', 'wild boar']],
+  ['59729', 'taeniopygia guttata', ['zebra finch']],
+  ['31033', 'takifugu rubripes', ['torafugu', 'fugu']],
+  ['5911', 'tetrahymena thermophila', []],
+  ['3641', 'theobroma cacao', ['cacao']],
+  ['5811', 'toxoplasma gondii', []],
+  ['10228', 'trichoplax adhaerens', []],
+  ['7070', 'tribolium castaneum', ['red flour beetle']],
+  ['4565', 'triticum aestivum', ['bread wheat', 'wheat']],
+  ['5691', 'trypanosoma brucei', []],
+  ['9739', 'tursiops truncatus', ['bottlenose dolphin']],
+  ['30538', 'vicugna pacos', ['alpaca']],
+  ['29760', 'vitis vinifera', ['wine grape', 'grape']],
+  ['8355', 'xenopus laevis', ['african clawed frog']],
+  ['8364', 'xenopus tropicalis', ['western clawed frog']],
+  ['4577', 'zea mays', ['maize', 'corn']]
+]
+
+// Other names for species above, e.g. former or misspelled names
+export const synonyms = {
+  'aspergillis fumigatus': 'aspergillus fumigatus',
+  'canis familiaris': 'canis lupus familiaris',
+  'physcomitrella patens': 'physcomitrium patens',
+  'spermophilus tridecemlineatus': 'ictidomys tridecemlineatus'
+}
+
+// Taxids of strains or subspecies that some services use for species above
+export const synonymsByTaxid = {
+  '330879': 'aspergillus fumigatus', // Af293
+  '559292': 'saccharomyces cerevisiae', // S288C
+  '9595': 'gorilla gorilla', // Gorilla gorilla gorilla
+  '39947': 'oryza sativa', // Japonica group
+  '36329': 'plasmodium falciparum', // 3D7
+  '112509': 'hordeum vulgare', // subsp. vulgare
+  '214687': 'musa acuminata' // subsp. malaccensis
+}
@@ -7,14 +7,66 @@ require("babel-polyfill");
 
 const fetch = require('node-fetch');
 
-import fetchOrthologs from '../src/index.js';
+import {
+  createHomologyClient, createMemoryCache, resolveOrganism, fetchOrganism,
+  GeneNotFoundError, OrthologsNotFoundError, TargetNotFoundError,
+  InvalidInputError, UpstreamError, toBed, toBedpe, toGff3, toIdeogramSynteny,
+  toIdeogramAnnotations, toOrthoXML, parseOrthoXML, findSyntenyBlocks
+} from '../src/index.js';
+import {createFileCache} from '../src/file-cache';
+import {buildLocalIndex, createLocalIndex} from '../src/local-index';
+import {createProxyServer} from '../src/proxy';
+import {fetchOrthoDBJson} from '../src/orthodb';
+import {fetchConsensusOrthologs} from '../src/consensus';
+import {getTaxid} from '../src/organism';
+import {parseGeneInput} from '../src/gene-input';
+import {fetchLocations, fetchAnnotsFromEUtils} from '../src/lib';
+import {getConfig} from '../src/config';
+import {createRateLimiter} from '../src/request';
+import {runCli} from '../src/cli';
+import {startMockServer} from './support/mock-server';
+
+/**
+ * Get name of fixture file for a test, e.g.
+ * "Homology.js fetches orthologs from OMA" -> "fetches-orthologs-from-oma"
+ */
+function getCassetteName(testName) {
+  return testName
+    .replace(/^Homology\.js /, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '');
+}
 
 describe('Homology.js', () => {
 
   jest.setTimeout(20000)
 
-  beforeAll(() => {
-    global.fetch = fetch;
+  // Upstream services are replaced by a local server that replays recorded
+  // responses.  Run `npm run test:record` to record fresh responses.
+  let mockServer;
+  let client;
+  let fetchOrthologs;
+  let fetchParalogs;
+
+  beforeAll(async () => {
+    mockServer = await startMockServer({
+      record: process.env.HOMOLOGY_RECORD === '1'
+    });
+    client =
+      createHomologyClient({endpoints: mockServer.endpoints, fetch});
+    fetchOrthologs = client.fetchOrthologs;
+    fetchParalogs = client.fetchParalogs;
+  });
+
+  beforeEach(async () => {
+    // Clear cached responses, so each test only replays its own fixtures
+    await client.cache.clear();
+    mockServer.useCassette(getCassetteName(expect.getState().currentTestName));
+  });
+
+  afterAll(async () => {
+    await mockServer.close();
   });
 
   it('fetches orthologs from OMA', async () => {
@@ -27,6 +79,35 @@ describe('Homology.js', () => {
 
     expect(orthologs[0][0].location).toBe('1:11107485-11259409');
     expect(orthologs[0][1].location).toBe('4:148452271-148556860');
+
+    // Named by gene symbol, rather than UniProt entry name
+    expect(orthologs[0][1].name).toBe('Mtor');
+    expect(orthologs[0][1].gene).toBe('MTOR_MOUSE');
+  });
+
+  it('fetches OMA genome codes not in bundled snapshot', async () => {
+
+    let genes = ['MTOR'];
+    let sourceOrg = 'homo sapiens';
+    let targetOrgs = ['ovis aries'];
+
+    let orthologs = await fetchOrthologs(genes, sourceOrg, targetOrgs, 'oma');
+
+    expect(orthologs[0][1].gene).toBe('W5PWD1_SHEEP');
+    expect(orthologs[0][1].org).toBe('ovis aries');
+  });
+
+  it('throws error for organisms lacking an OMA genome', async () => {
+
+    let genes = ['MTOR'];
+    let sourceOrg = 'homo sapiens';
+    let targetOrgs = ['capsicum annuum'];
+
+    const error = fetchOrthologs(genes, sourceOrg, targetOrgs, 'oma');
+    await expect(error).rejects.toBeInstanceOf(InvalidInputError);
+    await expect(error).rejects.toThrow(
+      'Organism "capsicum annuum" has no OMA genome'
+    );
   });
 
   it('fetches orthologs from OrthoDB', async () => {
@@ -91,6 +172,46 @@ describe('Homology.js', () => {
     expect(orthologs.length).toEqual(2);
   });
 
+  it('fetches orthologs for multiple target organisms', async () => {
+
+    let genes = ['MTOR'];
+    let sourceOrg = 'homo sapiens';
+    let targetOrgs = ['mus musculus', 'danio rerio'];
+
+    let orthologs = await fetchOrthologs(genes, sourceOrg, targetOrgs);
+
+    const targets = orthologs[0].slice(1);
+    const orgs = targets.map(target => target.org);
+    expect(orgs).toContain('mus musculus');
+    expect(orgs).toContain('danio rerio');
+
+    // Targets are ordered per target organism, as requested
+    expect(orgs.indexOf('danio rerio')).toBeGreaterThan(
+      orgs.lastIndexOf('mus musculus')
+    );
+
+    // Or grouped per target organism
+    const orthologsByTarget = await fetchOrthologs(
+      genes, sourceOrg, targetOrgs, {groupByTarget: true}
+    );
+    expect(Object.keys(orthologsByTarget)).toEqual(targetOrgs);
+    expect(orthologsByTarget['danio rerio'][0].map(gene => gene.name))
+      .toEqual(['MTOR', 'mtor']);
+
+    // Genes lacking orthologs in one target organism keep those in others
+    const brca1ByTarget = await fetchOrthologs(
+      ['BRCA1'], sourceOrg, targetOrgs, {groupByTarget: true}
+    );
+    expect(brca1ByTarget['mus musculus'][0].length).toBeGreaterThan(1);
+    expect(brca1ByTarget['danio rerio'][0].map(gene => gene.name))
+      .toEqual(['BRCA1']);
+
+    // Genes lacking orthologs in all target organisms are reported
+    const error = fetchOrthologs(['BRCA1'], sourceOrg, ['danio rerio']);
+    await expect(error).rejects.toBeInstanceOf(OrthologsNotFoundError);
+    await expect(error).rejects.toMatchObject({gene: 'BRCA1'});
+  });
+
   it('sorts by domains when lacking other data', async () => {
 
     let genes = ['THAP1'];
@@ -139,8 +260,19 @@ describe('Homology.js', () => {
       await fetchOrthologs(genes, sourceOrg, targetOrgs);
     } catch (e) {
       expect(e.message).toBe('Orthologs not found for gene "AG" in target organism "Homo sapiens"');
+      expect(e).toBeInstanceOf(TargetNotFoundError);
+      expect(e.code).toBe('orthologsNotFoundInTarget');
+      expect(e.gene).toBe('AG');
+      expect(e.sourceOrg).toBe('arabidopsis thaliana');
+      expect(e.targetOrg).toBe('homo sapiens');
+      expect(e.backend).toBe('orthodb');
     }
 
+    // Organisms are optional in error details
+    expect(new GeneNotFoundError({gene: 'AG'}).message)
+      .toBe('Gene "AG" not found');
+    expect(new TargetNotFoundError({gene: 'AG'}).message)
+      .toBe('Orthologs not found for gene "AG" in target organisms');
   });
 
   it('handles initially unfound location for source gene', async () => {
@@ -179,4 +311,1076 @@ describe('Homology.js', () => {
     expect(orthologs.length).toEqual(1);
   });
 
+  it('fetches orthologs for genes given by Ensembl ID', async () => {
+
+    let genes = ['ENSG00000198793'];
+    let sourceOrg = 'homo sapiens';
+    let targetOrgs = ['mus musculus'];
+
+    let orthologs = await fetchOrthologs(genes, sourceOrg, targetOrgs);
+
+    expect(orthologs[0][0].name).toBe('MTOR');
+    expect(orthologs[0][0].location).toBe('1:11106535-11262551');
+
+    // Another OrthoDB gene named "MTOR", with another Ensembl ID, is omitted
+    expect(orthologs[0].length).toEqual(2);
+    expect(orthologs[0][1].name).toBe('Mtor');
+
+    // Backends that take only symbols reject IDs, rather than query them
+    for (const api of ['ensembl', 'ncbi', 'panther']) {
+      await expect(
+        fetchOrthologs([{ensemblId: genes[0]}], sourceOrg, targetOrgs, api)
+      ).rejects.toMatchObject({
+        name: 'InvalidInputError', backend: api, gene: 'ENSG00000198793'
+      });
+    }
+  });
+
+  it('fetches orthologs from OMA for genes given by ID', async () => {
+
+    let genes = [{uniprotId: 'P42345'}, {ncbiGeneId: 2475}];
+    let sourceOrg = 'homo sapiens';
+    let targetOrgs = ['mus musculus'];
+
+    let orthologs = await fetchOrthologs(genes, sourceOrg, targetOrgs, 'oma');
+
+    expect(orthologs[0][1].location).toBe('4:148452271-148556860');
+    expect(orthologs[1][1].location).toBe('4:148452271-148556860');
+
+    // Symbols that look like UniProt accessions are not taken as such
+    ['P2RY12', 'P2RY14', 'H2BC12', 'H2AC20'].forEach(symbol => {
+      expect(parseGeneInput(symbol)).toBe(symbol);
+    });
+  });
+
+  it('returns records of the same shape across backends', async () => {
+
+    let genes = ['MTOR'];
+    let sourceOrg = 'homo sapiens';
+    let targetOrgs = ['mus musculus'];
+
+    let orthodbOrthologs = await fetchOrthologs(genes, sourceOrg, targetOrgs);
+    let omaOrthologs =
+      await fetchOrthologs(genes, sourceOrg, targetOrgs, 'oma');
+
+    const orthodbTarget = orthodbOrthologs[0][1];
+    expect(orthodbTarget).toMatchObject({
+      version: 1,
+      name: 'Mtor',
+      location: '4:148448582-148557685',
+      chr: '4',
+      start: 148448582,
+      stop: 148557685,
+      strand: 1,
+      org: 'mus musculus',
+      taxid: '10090',
+      backend: 'orthodb',
+      ensemblId: 'ENSMUSG00000028991',
+      ncbiGeneId: '56717',
+      orthodbId: '10090_0:001d43',
+      omaId: null
+    });
+
+    const omaSource = omaOrthologs[0][0];
+    expect(omaSource).toMatchObject({
+      name: 'MTOR', chr: '1', strand: -1, taxid: '9606', backend: 'oma',
+      uniprotId: 'P42345', omaId: 'HUMAN20599'
+    });
+
+    // Backward compatible with records before versioning
+    expect(omaSource.gene).toBe('MTOR_HUMAN');
+
+    const recordFields = Object.keys(orthodbTarget);
+    expect(Object.keys(omaOrthologs[0][1])).toEqual(
+      expect.arrayContaining(recordFields)
+    );
+  });
+
+  it('classifies orthology relationships', async () => {
+
+    let genes = ['MTOR', 'THAP1'];
+    let sourceOrg = 'homo sapiens';
+    let targetOrgs = ['mus musculus'];
+
+    let orthologs = await fetchOrthologs(genes, sourceOrg, targetOrgs);
+
+    expect(orthologs[0][0].relationship).toBeNull();
+    expect(orthologs[0][1].relationship).toBe('one-to-one');
+
+    // Thap1 is counted in the mammal orthogroup it shares with THAP1, and
+    // Thap11 in the broader eukaryote one, which also has Thap1
+    expect(orthologs[1][1].name).toBe('Thap1');
+    expect(orthologs[1][1].relationship).toBe('one-to-one');
+    expect(orthologs[1][2].relationship).toBe('one-to-many');
+
+    let oneToOne = await fetchOrthologs(
+      genes, sourceOrg, targetOrgs, {only: 'one-to-one'}
+    );
+    expect(oneToOne[0].length).toEqual(2);
+    expect(oneToOne[1].map(gene => gene.name)).toEqual(['THAP1', 'Thap1']);
+
+    let omaOrthologs = await fetchOrthologs(
+      ['MTOR'], sourceOrg, targetOrgs, {api: 'oma', only: 'one-to-one'}
+    );
+    expect(omaOrthologs[0][1].relationship).toBe('one-to-one');
+
+    const error = fetchOrthologs(genes, sourceOrg, targetOrgs, {only: '1:1'});
+    await expect(error).rejects.toBeInstanceOf(InvalidInputError);
+  });
+
+  it('uses coordinates on the requested assembly', async () => {
+
+    let genes = ['MTOR'];
+    let sourceOrg = 'homo sapiens';
+    let targetOrgs = ['mus musculus'];
+
+    let orthologs = await fetchOrthologs(genes, sourceOrg, targetOrgs, {
+      assembly: {human: 'GRCh37'}
+    });
+
+    // Source positions are from MyGene.info's hg19 field
+    expect(orthologs[0][0]).toMatchObject({
+      location: '1:11166592-11322608', assembly: 'GRCh37'
+    });
+    expect(orthologs[0][1]).toMatchObject({
+      location: '4:148448582-148557685', assembly: 'GRCm39'
+    });
+
+    // NCBI positions on older assemblies are from `locationhist`
+    orthologs = await fetchOrthologs(genes, sourceOrg, targetOrgs, {
+      api: 'ncbi',
+      assembly: {'homo sapiens': 'GRCh37', 'mus musculus': 'grcm38'}
+    });
+    expect(orthologs[0][0]).toMatchObject({
+      chr: '1', start: 11166592, stop: 11322608, strand: -1,
+      assembly: 'GRCh37'
+    });
+    expect(orthologs[0][1]).toMatchObject({
+      chr: '4', start: 148364147, stop: 148473240, assembly: 'GRCm38'
+    });
+
+    await expect(fetchOrthologs(genes, sourceOrg, targetOrgs, {
+      assembly: {human: 'hg19'}
+    })).rejects.toThrow(
+      'Unknown assembly "hg19" for organism "homo sapiens".  ' +
+      'Use one of: "GRCh38", "GRCh37".'
+    );
+    await expect(fetchOrthologs(genes, sourceOrg, targetOrgs, {
+      api: 'oma', assembly: {human: 'GRCh37'}
+    })).rejects.toThrow(InvalidInputError);
+  });
+
+  it('fetches orthologs from Ensembl', async () => {
+
+    let genes = ['MTOR'];
+    let sourceOrg = 'homo sapiens';
+    let targetOrgs = ['mus musculus', 'danio rerio'];
+
+    let orthologs = await fetchOrthologs(genes, sourceOrg, targetOrgs, 'ensembl');
+
+    expect(orthologs[0][0].location).toBe('1:11106535-11262551');
+
+    const mouseTarget = orthologs[0][1];
+    expect(mouseTarget.name).toBe('Mtor');
+    expect(mouseTarget.location).toBe('4:148448582-148557685');
+    expect(mouseTarget.org).toBe('mus musculus');
+    expect(mouseTarget.orthologyType).toBe('ortholog_one2one');
+    expect(mouseTarget.percentIdentity).toBeCloseTo(98.6);
+    expect(mouseTarget.dnDs).toBeCloseTo(0.0131);
+
+    const zebrafishTarget = orthologs[0][2];
+    expect(zebrafishTarget.org).toBe('danio rerio');
+    expect('dnDs' in zebrafishTarget).toBe(false);
+
+    // Genes are looked up in batches, as Ensembl allows 1000 IDs per request
+    const batchingClient = createHomologyClient({
+      endpoints: mockServer.endpoints, fetch, batchSizes: {ensembl: 2}
+    });
+    const batched = await batchingClient.fetchOrthologs(
+      genes, sourceOrg, targetOrgs, 'ensembl'
+    );
+    expect(batched).toEqual(orthologs);
+  });
+
+  it('fetches orthologs from NCBI', async () => {
+
+    let genes = ['MTOR'];
+    let sourceOrg = 'homo sapiens';
+    let targetOrgs = ['mus musculus', 'danio rerio'];
+
+    let orthologs = await fetchOrthologs(genes, sourceOrg, targetOrgs, 'ncbi');
+
+    expect(orthologs[0][0].name).toBe('MTOR');
+    // NCBI's 0-based positions are converted to 1-based, as from MyGene.info
+    expect(orthologs[0][0].location).toBe('1:11106535-11262551');
+    expect(orthologs[0][1].name).toBe('Mtor');
+    expect(orthologs[0][1].org).toBe('mus musculus');
+    expect(orthologs[0][2].name).toBe('mtor');
+    expect(orthologs[0][2].org).toBe('danio rerio');
+
+    // Rat is among NCBI's orthologs, but was not requested
+    expect(orthologs[0].length).toEqual(3);
+  });
+
+  it('fetches orthologs from PANTHER', async () => {
+
+    let genes = ['MTOR', 'THAP1'];
+    let sourceOrg = 'homo sapiens';
+    let targetOrgs = ['mus musculus'];
+    let options = {api: 'panther', orthologType: 'all'};
+
+    let orthologs = await fetchOrthologs(genes, sourceOrg, targetOrgs, options);
+
+    expect(orthologs[0][0].location).toBe('1:11106535-11262551');
+    expect(orthologs[0][1].name).toBe('Mtor');
+    expect(orthologs[0][1].id).toBe('Q9JLN9');
+    expect(orthologs[0][1].org).toBe('mus musculus');
+
+    // Least diverged orthologs come with other orthologs, in "all" mode
+    const thap1Targets = orthologs[1].slice(1);
+    const names = thap1Targets.map(target => target.name)
+    expect(names).toEqual(['Thap1', 'Thap11', 'Thap7']);
+    const types = thap1Targets.map(target => target.orthologyType)
+    expect(types).toEqual(['LDO', 'O', 'O']);
+    expect(thap1Targets[0].location).toBe('8:26157981-26163136');
+
+    // MyGene.info lacks Thap7 here, so it is kept without coordinates
+    expect(thap1Targets[2].id).toBe('Q9D305');
+    expect(thap1Targets[2].chr).toBeNull();
+  });
+
+  it('merges orthologs from several backends', async () => {
+
+    let genes = ['MTOR'];
+    let sourceOrg = 'homo sapiens';
+    let targetOrgs = ['rattus norvegicus', 'mus musculus'];
+
+    let orthologs = await fetchOrthologs(
+      genes, sourceOrg, targetOrgs, {api: ['orthodb', 'oma']}
+    );
+
+    expect(orthologs[0][0].name).toBe('MTOR');
+
+    const [ratTarget, mouseTarget] = orthologs[0].slice(1);
+    expect(mouseTarget.name).toBe('Mtor');
+    expect(mouseTarget.org).toBe('mus musculus');
+    expect(mouseTarget.supportedBy).toEqual(['orthodb', 'oma']);
+    expect(mouseTarget.agreement).toBe(1);
+    expect(ratTarget.gene).toBe('MTOR_RAT');
+
+    // OrthoDB lacks sheep orthologs, so only OMA supports these targets
+    const moreTargetOrgs = [...targetOrgs, 'ovis aries'];
+    orthologs = await fetchOrthologs(
+      genes, sourceOrg, moreTargetOrgs, {api: ['orthodb', 'oma']}
+    );
+    const sheepTarget = orthologs[0][3];
+    expect(sheepTarget.org).toBe('ovis aries');
+    expect(sheepTarget.supportedBy).toEqual(['oma']);
+    expect(sheepTarget.agreement).toBe(0.5);
+
+    // Results are merged by source gene, not by position
+    const human = 'homo sapiens';
+    const mouse = 'mus musculus';
+    const gene = (name, org) => ({name, org});
+    const backendsByApi = {
+      orthodb: async () => [
+        [gene('THAP1', human), gene('Thap1', mouse)],
+        [gene('MTOR', human), gene('Mtor', mouse)]
+      ],
+      oma: async () => [[gene('MTOR_HUMAN', human), gene('MTOR_MOUSE', mouse)]]
+    };
+    const merged = await fetchConsensusOrthologs(
+      backendsByApi, ['MTOR', 'THAP1'], human, [mouse]
+    );
+    expect(merged[0][1].supportedBy).toEqual(['orthodb', 'oma']);
+    expect(merged[1][1].supportedBy).toEqual(['orthodb']);
+
+    // Genes no backend returns are not found
+    const notFound = new GeneNotFoundError({gene: 'BRCA1', sourceOrg: human});
+    await expect(fetchConsensusOrthologs(
+      backendsByApi, ['MTOR', 'BRCA1'], human, [mouse]
+    )).rejects.toThrow(notFound);
+  });
+
+  it('streams orthologs gene by gene', async () => {
+
+    let genes = ['MTOR', 'asdf'];
+    let sourceOrg = 'human';
+    let targetOrgs = ['mouse'];
+
+    const events = [];
+    const stream = client.streamOrthologs(genes, sourceOrg, targetOrgs);
+    for await (const event of stream) events.push(event);
+
+    // One gene's failure does not lose the other's result
+    const results = events.filter(event => event.type === 'result');
+    expect(results.length).toEqual(1);
+    expect(results[0]).toMatchObject({gene: 'MTOR', index: 0});
+    expect(results[0].ortholog[1].name).toBe('Mtor');
+
+    const errors = events.filter(event => event.type === 'error');
+    expect(errors.length).toEqual(1);
+    expect(errors[0]).toMatchObject({gene: 'asdf', index: 1});
+    expect(errors[0].error).toBeInstanceOf(OrthologsNotFoundError);
+
+    const progress = events.filter(event => {
+      return event.type === 'progress' && event.gene === 'MTOR';
+    });
+    expect(progress.map(event => event.phase)).toEqual(
+      ['query', 'enrichment', 'locations']
+    );
+    expect(events.indexOf(progress[2])).toBeLessThan(
+      events.indexOf(results[0])
+    );
+
+    const unknown = client.streamOrthologs(genes, 'unicorn', targetOrgs);
+    await expect(unknown.next()).rejects.toThrow(InvalidInputError);
+
+    // Aborting right away cancels the stream before any gene is queried
+    const controller = new AbortController();
+    const aborted = client.streamOrthologs(
+      genes, sourceOrg, targetOrgs, {signal: controller.signal}
+    );
+    controller.abort();
+    await expect(aborted.next()).rejects.toMatchObject({name: 'AbortError'});
+  });
+
+  it('runs the command-line interface', async () => {
+
+    // Collect what is written to a stream, e.g. stdout
+    function createOutput() {
+      return {text: '', write(chunk) { this.text += chunk }};
+    }
+
+    const {Readable} = require('stream');
+    const stdin = Readable.from(['# Genes of interest\nMTOR\nasdf\n']);
+    const stdout = createOutput();
+    const stderr = createOutput();
+    const args = [
+      'orthologs', '--from', 'homo sapiens', '--to', 'mus musculus',
+      '--format', 'tsv'
+    ];
+
+    const status = await runCli(args, {stdin, stdout, stderr, client});
+
+    // Found genes are output, and genes not found are reported
+    expect(status).toEqual(1);
+    const [header, row, ...rest] = stdout.text.split('\n');
+    expect(header.split('\t').slice(0, 4)).toEqual(
+      ['gene', 'sourceName', 'sourceLocation', 'name']
+    );
+    expect(row.split('\t').slice(0, 5)).toEqual(
+      ['MTOR', 'MTOR', '1:11106535-11262551', 'Mtor', 'mus musculus']
+    );
+    expect(rest).toEqual(['']);
+    expect(stderr.text).toContain('asdf');
+
+    // BED and GFF3 describe one genome, the first target's by default
+    const bed = createOutput();
+    const bedArgs = [
+      'orthologs', '--from', 'homo sapiens', '--to', 'mus musculus',
+      '--format', 'bed', 'MTOR'
+    ];
+    await runCli(bedArgs, {stdin, stdout: bed, stderr, client});
+    expect(bed.text).toBe('4\t148448581\t148557685\tMtor\t0\t+\n');
+    const sourceBed = createOutput();
+    await runCli([...bedArgs, '--org', 'human'], {
+      stdin, stdout: sourceBed, stderr, client
+    });
+    expect(sourceBed.text).toBe('1\t11106534\t11262551\tMTOR\t0\t-\n');
+
+    const usageStatus = await runCli(['orthologs', '--from', 'human'], {
+      stdin, stdout, stderr, client
+    });
+    expect(usageStatus).toEqual(2);
+    expect(stderr.text).toContain('Missing --to');
+  });
+
+  it('exports orthologs as BED, GFF3 and Ideogram annotations', async () => {
+
+    let genes = ['MTOR'];
+    let sourceOrg = 'homo sapiens';
+    let targetOrgs = ['mus musculus'];
+
+    let orthologs =
+      await client.fetchOrthologs(genes, sourceOrg, targetOrgs);
+
+    // BED is 0-based and half-open, unlike records
+    expect(toBed(orthologs, {org: 'mouse'})).toBe(
+      '4\t148448581\t148557685\tMtor\t0\t+\n'
+    );
+    expect(toBedpe(orthologs).split('\t')).toEqual([
+      '1', '11106534', '11262551', '4', '148448581', '148557685',
+      'MTOR/Mtor', '0', '-', '+', 'mus musculus', 'one-to-one\n'
+    ]);
+
+    const gff3Lines = toGff3(orthologs).split('\n');
+    expect(gff3Lines[0]).toBe('##gff-version 3');
+    const mouseFeature = gff3Lines[2].split('\t');
+    expect(mouseFeature.slice(0, 7)).toEqual(
+      ['4', 'orthodb', 'gene', '148448582', '148557685', '.', '+']
+    );
+    expect(mouseFeature[8]).toBe(
+      'ID=10090:Mtor;Name=Mtor;' +
+      'Dbxref=ENSEMBL:ENSMUSG00000028991,GeneID:56717,' +
+      'OrthoDB:10090_0:001d43;' +
+      'orthologs=9606:MTOR;relationship=one-to-one'
+    );
+
+    expect(toIdeogramSynteny(orthologs)).toEqual([{
+      r1: {
+        organism: 'homo sapiens', taxid: '9606',
+        chr: '1', start: 11106535, stop: 11262551
+      },
+      r2: {
+        organism: 'mus musculus', taxid: '10090',
+        chr: '4', start: 148448582, stop: 148557685
+      }
+    }]);
+    expect(toIdeogramAnnotations(orthologs)).toEqual({
+      keys: ['name', 'start', 'length'],
+      annots: [{chr: '1', annots: [['MTOR', 11106535, 156017]]}]
+    });
+  });
+
+  it('exchanges orthologs as OrthoXML', async () => {
+
+    let genes = ['MTOR', 'THAP1'];
+    let sourceOrg = 'homo sapiens';
+    let targetOrgs = ['mus musculus'];
+
+    let orthologs =
+      await client.fetchOrthologs(genes, sourceOrg, targetOrgs);
+
+    // Several targets in one organism are paralogs of each other
+    const xml = toOrthoXML(orthologs);
+    expect(xml).toContain('<species name="Mus musculus" NCBITaxId="10090">');
+    expect(xml.match(/<paralogGroup>/g).length).toEqual(1);
+
+    // Names, IDs and relationships survive a round trip; coordinates do not
+    const parsed = parseOrthoXML(xml);
+    const fields = ['name', 'org', 'taxid', 'orthodbId', 'relationship'];
+    const pick = record => fields.map(field => record[field]);
+    expect(parsed.map(genes => genes.map(pick))).toEqual(
+      orthologs.map(genes => genes.map(pick))
+    );
+    expect(parsed[0][1].location).toBeUndefined();
+
+    // Documents from e.g. OMA may nest groups and list several species
+    const omaXml = `<?xml version="1.0" encoding="utf-8"?>
+      <orthoXML xmlns="http://orthoXML.org/2011/" version="0.3" origin="OMA"
+          originVersion="Jul 2024">
+        <species name="Homo sapiens" NCBITaxId="9606">
+          <database name="OMA" version="Jul 2024"><genes>
+            <gene id="1" protId="HUMAN20281" geneId="ENSG00000198793"/>
+          </genes></database>
+        </species>
+        <species name="Mus musculus" NCBITaxId="10090">
+          <database name="OMA" version="Jul 2024"><genes>
+            <gene id="2" protId="MOUSE21591" geneId="ENSMUSG00000028991"/>
+            <gene id="3" protId="MOUSE00003" geneId="Gm1234"/>
+          </genes></database>
+        </species>
+        <groups>
+          <orthologGroup id="HOG:0001">
+            <geneRef id="1"/>
+            <!-- A duplication in the mouse lineage -->
+            <paralogGroup>
+              <orthologGroup><geneRef id="2"/></orthologGroup>
+              <geneRef id="3"/>
+            </paralogGroup>
+          </orthologGroup>
+        </groups>
+      </orthoXML>`;
+    const omaOrthologs = parseOrthoXML(omaXml, {sourceOrg: 'human'});
+    expect(omaOrthologs.length).toEqual(1);
+    expect(omaOrthologs[0][0]).toMatchObject({
+      name: 'ENSG00000198793', ensemblId: 'ENSG00000198793',
+      omaId: 'HUMAN20281', org: 'homo sapiens', backend: 'oma'
+    });
+    expect(omaOrthologs[0].slice(1).map(gene => gene.name)).toEqual(
+      ['ENSMUSG00000028991', 'Gm1234']
+    );
+    expect(omaOrthologs[0][1].relationship).toBe('one-to-many');
+
+    expect(() => parseOrthoXML('<orthoXML><groups></orthoXML>')).toThrow(
+      InvalidInputError
+    );
+    expect(() => {
+      parseOrthoXML('<orthoXML><species NCBITaxId="9606"/></orthoXML>');
+    }).toThrow('Invalid OrthoXML: <species> lacks a name');
+
+    // OrthoXML requires a taxid for each species
+    const untaxed = [[{...orthologs[0][0], taxid: null}]];
+    expect(() => toOrthoXML(untaxed)).toThrow(InvalidInputError);
+  });
+
+  it('finds synteny blocks among orthologs', () => {
+
+    // Genes 100 kb apart, on human chromosome 1
+    const gene = (name, org, chr, start) => {
+      const taxid = org === 'homo sapiens' ? '9606' : '10090';
+      const location = `${chr}:${start}-${start + 999}`;
+      return {name, org, taxid, chr, start, stop: start + 999, location};
+    };
+    const human = (name, i) => gene(name, 'homo sapiens', '1', i * 100000);
+    const mouse = (name, chr, start) =>
+      gene(name, 'mus musculus', chr, start);
+
+    const orthologs = [
+      // Ordered alike on mouse chromosome 4
+      [human('A', 1), mouse('a', '4', 5000000)],
+      [human('B', 2), mouse('b', '4', 5200000)],
+      [human('C', 3), mouse('c', '4', 5300000)],
+      // Reversed on mouse chromosome 11, with an unplaced gene amid them
+      [human('D', 4), mouse('d', '11', 9000000)],
+      [human('E', 5), mouse('e', '11', 8800000)],
+      [human('F', 6), {
+        ...mouse('f', '11', 0), chr: null, start: null, stop: null,
+        location: null
+      }],
+      [human('G', 7), mouse('g', '11', 8700000)],
+      // Too far from G on mouse chromosome 11
+      [human('H', 8), mouse('h', '11', 100000)],
+      // Alone on mouse chromosome 2
+      [human('I', 9), mouse('i', '2', 100000)]
+    ];
+
+    const blocks = findSyntenyBlocks(orthologs);
+    expect(blocks.length).toEqual(2);
+    expect(blocks.map(block => block.orientation)).toEqual(
+      ['same', 'inverted']
+    );
+    expect(blocks[0].source).toEqual({
+      org: 'homo sapiens', taxid: '9606', chr: '1',
+      start: 100000, stop: 300999
+    });
+    expect(blocks[1].target).toMatchObject({
+      org: 'mus musculus', chr: '11', start: 8700000, stop: 9000999
+    });
+    const names = blocks[1].genes.map(genes => genes.map(gene => gene.name));
+    expect(names).toEqual([['D', 'd'], ['E', 'e'], ['G', 'g']]);
+
+    // H joins the inverted block if gaps may be larger
+    const looseBlocks = findSyntenyBlocks(orthologs, {maxGap: 1e7});
+    expect(looseBlocks[1].genes.length).toEqual(4);
+
+    expect(findSyntenyBlocks(orthologs, {minGenes: 4})).toEqual([]);
+    expect(() => findSyntenyBlocks(orthologs, {minGenes: 1})).toThrow(
+      InvalidInputError
+    );
+  });
+
+  it('fetches paralogs from OrthoDB', async () => {
+
+    let genes = ['HOXA1'];
+    let org = 'homo sapiens';
+
+    let paralogs = await fetchParalogs(genes, org);
+
+    expect(paralogs[0][0].name).toBe('HOXA1');
+    expect(paralogs[0][0].location).toBe('7:27092993-27096000');
+
+    const names = paralogs[0].slice(1).map(paralog => paralog.name);
+    expect(names).toContain('HOXB1');
+    expect(names).not.toContain('HOXA1');
+  });
+
+  it('fetches paralogs from OMA', async () => {
+
+    let genes = ['HOXA1'];
+    let org = 'homo sapiens';
+
+    let paralogs = await fetchParalogs(genes, org, {api: 'oma'});
+
+    expect(paralogs[0][0].gene).toBe('HXA1_HUMAN');
+    expect(paralogs[0].length).toEqual(3);
+    expect(paralogs[0][1].location).toBe('17:48530145-48533085');
+  });
+
+  it('uses endpoints and fetch given to a client', async () => {
+
+    const requestedUrls = [];
+    const client = createHomologyClient({
+      endpoints: {orthodb: 'http://localhost:5000/orthodb/'},
+      fetch: async url => {
+        requestedUrls.push(url);
+        return {json: async () => ({results: {bindings: []}})};
+      }
+    });
+
+    let genes = ['asdf'];
+    let sourceOrg = 'homo sapiens';
+    let targetOrgs = ['mus musculus'];
+
+    const error = client.fetchOrthologs(genes, sourceOrg, targetOrgs);
+    await expect(error).rejects.toThrow('Orthologs not found for gene "asdf"');
+    await expect(error).rejects.toBeInstanceOf(OrthologsNotFoundError);
+    await expect(error).rejects.toMatchObject({
+      code: 'orthologsNotFound', gene: 'asdf', backend: 'orthodb'
+    });
+
+    expect(requestedUrls.length).toEqual(1);
+    expect(requestedUrls[0]).toMatch(/^http:\/\/localhost:5000\/orthodb\/sparql/);
+  });
+
+  it('caches upstream responses', async () => {
+
+    let requestCount = 0;
+    const cachingClient = createHomologyClient({
+      fetch: async url => {
+        requestCount++;
+        return {ok: true, json: async () => ({results: {bindings: []}})};
+      }
+    });
+
+    let genes = ['asdf'];
+    let sourceOrg = 'homo sapiens';
+    let targetOrgs = ['mus musculus'];
+
+    for (let i = 0; i < 2; i++) {
+      await expect(
+        cachingClient.fetchOrthologs(genes, sourceOrg, targetOrgs)
+      ).rejects.toThrow('Orthologs not found for gene "asdf"');
+    }
+
+    expect(requestCount).toEqual(1);
+    expect((await cachingClient.cache.keys()).length).toEqual(1);
+
+    await cachingClient.cache.clear();
+    expect(await cachingClient.cache.keys()).toEqual([]);
+  });
+
+  it('expires cached responses after their TTL', async () => {
+    const cache = createMemoryCache();
+    await cache.set('fresh', 1, 60000);
+    await cache.set('stale', 2, -1);
+
+    expect(await cache.get('fresh')).toEqual(1);
+    expect(await cache.get('stale')).toBeUndefined();
+    expect(await cache.keys()).toEqual(['fresh']);
+  });
+
+  it('evicts least recently used entries and copies values', async () => {
+    const cache = createMemoryCache({maxEntries: 2});
+    await cache.set('a', {genes: ['MTOR']});
+    await cache.set('b', {genes: []});
+    await cache.get('a');
+    await cache.set('c', {genes: []});
+    expect(await cache.keys()).toEqual(['a', 'c']);
+
+    // Changing a value from the cache does not change later hits
+    const value = await cache.get('a');
+    value.genes.push('BRCA1');
+    expect(await cache.get('a')).toEqual({genes: ['MTOR']});
+  });
+
+  it('persists cached responses in files', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'homology-cache-'));
+
+    const cache = createFileCache({dir});
+    await cache.set('https://mygene.info/v3/query?q=symbol:MTOR', {hits: []});
+
+    const reopenedCache = createFileCache({dir});
+    expect(await reopenedCache.get('https://mygene.info/v3/query?q=symbol:MTOR'))
+      .toEqual({hits: []});
+
+    await reopenedCache.clear();
+    expect(await reopenedCache.keys()).toEqual([]);
+    fs.rmdirSync(dir);
+  });
+
+  it('fetches orthologs offline from a local index', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const zlib = require('zlib');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'homology-local-'));
+
+    // Miniature OrthoDB files.  A mammalian orthogroup ("at40674") is nested
+    // in a eukaryotic one ("at2759"), which also has a human paralog.
+    const write = (name, rows) => {
+      const text = rows.map(row => row.join('\t')).join('\n') + '\n';
+      const file = path.join(dir, name);
+      fs.writeFileSync(file, name.endsWith('.gz') ? zlib.gzipSync(text) : text);
+      return file;
+    };
+    const species = write('species.tab.gz', [
+      ['9606', '9606_0', 'Homo sapiens', 'GCF_000001405.39'],
+      ['10090', '10090_0', 'Mus musculus', 'GCF_000001635.27'],
+      ['7955', '7955_0', 'Danio rerio', 'GCF_000002035.6'],
+      ['9627', '9627_0', 'Vulpes vulpes', 'GCF_003160815.1']
+    ]);
+    const og2genes = write('OG2genes.tab', [
+      ['100at40674', '9606_0:000001'], ['100at40674', '10090_0:000001'],
+      ['100at40674', '9627_0:000001'],
+      ['200at40674', '9606_0:000002'], ['200at40674', '10090_0:000002'],
+      ['200at40674', '10090_0:000003'],
+      ['50at2759', '9606_0:000001'], ['50at2759', '10090_0:000001'],
+      ['50at2759', '9606_0:000003'], ['50at2759', '7955_0:000001']
+    ]);
+    const geneXrefs = write('gene_xrefs.tab', [
+      ['9606_0:000001', 'MTOR', 'NCBIgenename'],
+      ['9606_0:000001', 'ENSG00000198793', 'ENSEMBL'],
+      ['9606_0:000001', '2475', 'NCBIgid'],
+      ['10090_0:000001', 'Mtor', 'NCBIgenename'],
+      ['10090_0:000001', 'ENSMUSG00000028991', 'ENSEMBL'],
+      ['9627_0:000001', 'MTOR', 'NCBIgenename'],
+      ['9606_0:000002', 'ACE2', 'NCBIgenename'],
+      ['9606_0:000002', 'BMX', 'NCBIgenename'],
+      ['10090_0:000002', 'Ace2', 'NCBIgenename'],
+      ['10090_0:000003', '12345', 'NCBIgenename'],
+      ['10090_0:000003', 'Ace3', 'NCBIgenename'],
+      ['9606_0:000003', 'SMG1', 'NCBIgenename']
+    ]);
+
+    // Indexes only given organisms, as all would not fit in memory
+    const indexDir = path.join(dir, 'index');
+    const stderr = {text: '', write(chunk) { this.text += chunk; }};
+    const unscopedStatus = await runCli([
+      'index', '--species', species, '--og2genes', og2genes,
+      '--gene-xrefs', geneXrefs, '--output', indexDir
+    ], {stderr});
+    expect(unscopedStatus).toEqual(2);
+    expect(stderr.text).toContain('Missing --org');
+    await expect(buildLocalIndex({
+      dir: indexDir, species, og2genes, geneXrefs
+    })).rejects.toBeInstanceOf(InvalidInputError);
+
+    const status = await runCli([
+      'index', '--species', species, '--og2genes', og2genes,
+      '--gene-xrefs', geneXrefs, '--org', 'human', '--org', 'mouse',
+      '--org', 'Vulpes vulpes', '--output', indexDir
+    ], {});
+    expect(status).toEqual(0);
+
+    const localClient = createHomologyClient({
+      localIndex: createLocalIndex({dir: indexDir}),
+      fetch: () => { throw Error('Unexpected request'); }
+    });
+
+    // Names are canonicalized, and aliases resolved, as for OrthoDB SPARQL
+    let orthologs = await localClient.fetchOrthologs(
+      ['ACE2', 'mtor'], 'human', ['mouse'], {api: 'local'}
+    );
+    expect(orthologs[0][0].name).toBe('ACE2');
+    expect(orthologs[0].slice(1).map(gene => gene.name)).toEqual(
+      ['Ace2', 'Ace3']
+    );
+    expect(orthologs[0][1].relationship).toBe('one-to-many');
+    expect(orthologs[1][0]).toMatchObject({
+      name: 'MTOR', orthodbId: '9606_0:000001',
+      ensemblId: 'ENSG00000198793', ncbiGeneId: '2475', backend: 'local'
+    });
+    expect(orthologs[1][1]).toMatchObject({
+      name: 'Mtor', ensemblId: 'ENSMUSG00000028991', chr: null,
+      relationship: 'one-to-one'
+    });
+
+    orthologs = await localClient.fetchOrthologs(
+      ['ENSG00000198793'], 'human', ['mouse'], {api: 'local'}
+    );
+    expect(orthologs[0][0].name).toBe('MTOR');
+
+    // Organisms outside the bundled taxonomy resolve from the index, offline
+    orthologs = await localClient.fetchOrthologs(
+      ['MTOR'], 'human', ['vulpes vulpes'], {api: 'local'}
+    );
+    expect(orthologs[0][1]).toMatchObject({
+      name: 'MTOR', org: 'vulpes vulpes', taxid: '9627'
+    });
+
+    const paralogs =
+      await localClient.fetchParalogs(['MTOR'], 'human', {api: 'local'});
+    expect(paralogs[0][1].name).toBe('SMG1');
+
+    await expect(localClient.fetchOrthologs(
+      ['MTOR'], 'human', ['zebrafish'], {api: 'local'}
+    )).rejects.toBeInstanceOf(InvalidInputError);
+    await expect(
+      fetchOrthologs(['MTOR'], 'human', ['mouse'], {api: 'local'})
+    ).rejects.toBeInstanceOf(InvalidInputError);
+
+    fs.rmSync(dir, {recursive: true});
+  });
+
+  it('proxies OrthoDB with CORS and caching', async () => {
+    const http = require('http');
+
+    // Start a server, resolving with its base URL
+    const listen = server => new Promise(resolve => {
+      server.listen(0, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${server.address().port}`);
+      });
+    });
+
+    // Stand-in for OrthoDB's SPARQL endpoint and REST API
+    const upstreamRequests = [];
+    const upstream = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      upstreamRequests.push(url.pathname);
+      if (url.pathname === '/sparql') {
+        const query = url.searchParams.get('query');
+        const status = query.includes('fail') ? 500 : 200;
+        res.writeHead(status, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify({results: {bindings: [], query}}));
+      } else {
+        res.writeHead(200, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify({data: {id: url.searchParams.get('id')}}));
+      }
+    });
+    const upstreamUrl = await listen(upstream);
+
+    const proxy = createProxyServer({
+      upstreams: {sparql: upstreamUrl + '/sparql', rest: upstreamUrl + '/'},
+      allowedOrigins: ['https://example.org'],
+      retry: {retries: 0},
+      fetch
+    });
+    const proxyUrl = await listen(proxy);
+
+    try {
+      // Serves the routes the OrthoDB backend uses
+      const config = getConfig({
+        endpoints: {orthodb: proxyUrl + '/orthodb/'}, fetch, cache: null
+      });
+      // Clients pre-encode "|" in SPARQL queries, as in orthodb.js
+      const query = encodeURIComponent('regex(?name, "MTOR%7CTP53")');
+      const sparqlJson =
+        await fetchOrthoDBJson('sparql/?query=' + query, false, config);
+      expect(sparqlJson.results.query).toBe('regex(?name, "MTOR|TP53")');
+      const ogDetails =
+        await fetchOrthoDBJson('ogdetails?id=9606_0:002b4e', true, config);
+      expect(ogDetails).toEqual({id: '9606_0:002b4e'});
+
+      // Adds CORS headers for allowed origins, and caches responses
+      const headers = {Origin: 'https://example.org'};
+      const url = proxyUrl + '/orthodb/ogdetails?id=9606_0:002b4e';
+      const response = await fetch(url, {headers});
+      expect(response.headers.get('Access-Control-Allow-Origin')).toBe(
+        'https://example.org'
+      );
+      expect(response.headers.get('X-Cache')).toBe('HIT');
+      expect(upstreamRequests).toEqual(['/sparql', '/ogdetails']);
+
+      const preflight = await fetch(url, {method: 'OPTIONS', headers});
+      expect(preflight.status).toEqual(204);
+      const otherOrigin =
+        await fetch(url, {headers: {Origin: 'https://example.com'}});
+      expect(otherOrigin.headers.get('Access-Control-Allow-Origin'))
+        .toBeNull();
+
+      const unknown = await fetch(proxyUrl + '/orthodb/unknown');
+      expect(unknown.status).toEqual(404);
+      const failed = await fetch(proxyUrl + '/orthodb/sparql?query=fail');
+      expect(failed.status).toEqual(502);
+
+      // Fails requests, rather than the process, if the cache fails
+      const broken = createProxyServer({
+        upstreams: {rest: upstreamUrl + '/'},
+        cache: {get: async () => { throw new Error('Cache is down'); }},
+        fetch
+      });
+      const brokenUrl = await listen(broken);
+      const brokenResponse = await fetch(brokenUrl + '/orthodb/ogdetails?id=1');
+      await new Promise(resolve => broken.close(resolve));
+      expect(brokenResponse.status).toEqual(500);
+      expect(await brokenResponse.json()).toEqual({error: 'Cache is down'});
+    } finally {
+      await new Promise(resolve => proxy.close(resolve));
+      await new Promise(resolve => upstream.close(resolve));
+    }
+  });
+
+  it('batches lookups for thousands of genes', async () => {
+
+    const requests = [];
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const config = getConfig({
+      cache: null,
+      batchSizes: {eutils: 200},
+      concurrency: 2,
+      fetch: async (url, init) => {
+        requests.push(url);
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 1));
+        inFlight--;
+
+        let json;
+        if (init?.method === 'POST') {
+          // MyGene.info querymany, with a result for each symbol
+          const symbols = new URLSearchParams(init.body).get('q').split(',');
+          json = symbols.map((symbol, i) => ({
+            query: symbol, _id: symbol.slice(4), symbol,
+            genomic_pos: {chr: '1', start: i, end: i + 1, strand: 1}
+          }));
+        } else {
+          // NCBI esummary
+          const ids = new URL(url).searchParams.get('id').split(',');
+          json = {result: {uids: ids}};
+          ids.forEach(id => json.result[id] = {
+            uid: id, name: 'GENE' + id, chromosome: '1',
+            genomicinfo: [{chrloc: '1', chrstart: 1, chrstop: 2}]
+          });
+        }
+        return {ok: true, status: 200, json: async () => json};
+      }
+    });
+
+    const genes = Array.from({length: 2500}, (_, i) => 'GENE' + i);
+    const annots = await fetchLocations(genes, '9606', config);
+    expect(annots.length).toEqual(2500);
+    expect(annots[2499].name).toBe('GENE2499');
+    expect(requests.length).toEqual(3);
+    expect(maxInFlight).toEqual(2);
+
+    requests.length = 0;
+    const ids = Array.from({length: 450}, (_, i) => String(i + 1));
+    const eutilsAnnots = await fetchAnnotsFromEUtils(ids, config);
+    expect(eutilsAnnots.map(annot => annot.ncbiGeneId)).toEqual(ids);
+    expect(requests.length).toEqual(3);
+  });
+
+  it('retries failed requests with backoff', async () => {
+
+    const statuses = [503, 429, 200];
+    let requestCount = 0;
+    const retryingClient = createHomologyClient({
+      cache: null,
+      retry: {baseDelay: 1},
+      fetch: async url => {
+        const status = statuses[requestCount++];
+        return {
+          ok: status === 200, status, headers: new Map(),
+          json: async () => ({results: {bindings: []}})
+        };
+      }
+    });
+
+    const error = retryingClient.fetchOrthologs(
+      ['asdf'], 'homo sapiens', ['mus musculus']
+    );
+    await expect(error).rejects.toBeInstanceOf(OrthologsNotFoundError);
+    expect(requestCount).toEqual(3);
+
+    // Client errors are not retried
+    statuses.splice(0, 3, 404);
+    requestCount = 0;
+    await expect(retryingClient.fetchOrthologs(
+      ['asdf'], 'homo sapiens', ['mus musculus']
+    )).rejects.toMatchObject({code: 'upstreamError', status: 404});
+    expect(requestCount).toEqual(1);
+  });
+
+  it('times out and cancels requests', async () => {
+
+    // Responds only when aborted, like a request to a server that hangs
+    let lastSignal;
+    const hangingFetch = (url, init) => new Promise((resolve, reject) => {
+      lastSignal = init.signal;
+      init.signal.addEventListener('abort', () => {
+        const error = new Error('The operation was aborted');
+        error.name = 'AbortError';
+        reject(error);
+      });
+    });
+    const hangingClient = createHomologyClient({
+      cache: null, fetch: hangingFetch, timeout: 10, retry: {retries: 0}
+    });
+    let genes = ['MTOR'];
+    let sourceOrg = 'homo sapiens';
+    let targetOrgs = ['mus musculus'];
+
+    const timedOut = hangingClient.fetchOrthologs(genes, sourceOrg, targetOrgs);
+    await expect(timedOut).rejects.toBeInstanceOf(UpstreamError);
+    await expect(timedOut).rejects.toMatchObject({
+      cause: {message: 'Request timed out after 10 ms'}
+    });
+    await expect(timedOut).rejects.toThrow(
+      'Request to orthodb failed: Request timed out after 10 ms'
+    );
+
+    const controller = new AbortController();
+    const cancelled = hangingClient.fetchOrthologs(
+      genes, sourceOrg, targetOrgs, {signal: controller.signal}
+    );
+    setTimeout(() => controller.abort(), 1);
+    await expect(cancelled).rejects.toMatchObject({name: 'AbortError'});
+    expect(lastSignal.aborted).toBe(true);
+
+    // Calls with an aborted signal send no requests
+    lastSignal = null;
+    await expect(hangingClient.fetchOrthologs(
+      genes, sourceOrg, targetOrgs, {signal: controller.signal}
+    )).rejects.toMatchObject({name: 'AbortError'});
+    expect(lastSignal).toBeNull();
+  });
+
+  it('rate limits requests', async () => {
+    const waitForSlot = createRateLimiter(50);
+    const start = Date.now();
+    await Promise.all([1, 2, 3, 4].map(() => waitForSlot()));
+
+    // The first request is sent at once, and others 20 ms apart
+    expect(Date.now() - start).toBeGreaterThanOrEqual(55);
+  });
+
+  it('resolves organisms by any-case name, common name, or taxid', async () => {
+
+    let genes = ['MTOR'];
+    let sourceOrg = 'Homo sapiens';
+    let targetOrgs = ['mouse'];
+
+    let orthologs = await fetchOrthologs(genes, sourceOrg, targetOrgs);
+
+    expect(orthologs[0][1].name).toBe('Mtor');
+    expect(orthologs[0][1].org).toBe('mus musculus');
+
+    expect(resolveOrganism(' Danio  Rerio')).toBe('danio rerio');
+    expect(resolveOrganism(7955)).toBe('danio rerio');
+    expect(resolveOrganism('zebrafish')).toBe('danio rerio');
+    expect(resolveOrganism('aspergillis fumigatus'))
+      .toBe('aspergillus fumigatus');
+
+    // Organisms missing from the bundled taxonomy are found in NCBI Taxonomy
+    const {config} = client;
+    expect(await fetchOrganism('Koala', config))
+      .toBe('phascolarctos cinereus');
+    expect(resolveOrganism('koala')).toBe('phascolarctos cinereus');
+    expect(getTaxid('koala')).toBe('38626');
+    expect(await fetchOrganism(9646, config)).toBe('ailuropoda melanoleuca');
+    await expect(fetchOrganism('unicorn', config))
+      .rejects.toThrow(InvalidInputError);
+
+    // Synchronous helpers fall back for organisms not yet looked up
+    expect(getTaxid('Vulpes lagopus')).toBeNull();
+    expect(getTaxid(9627)).toBe('9627');
+    expect(toBed(orthologs, {org: 'Vulpes  lagopus'})).toBe('');
+  });
+
+  it('throws InvalidInputError for unknown or ambiguous organisms', () => {
+    expect(() => resolveOrganism('unicorn')).toThrow(InvalidInputError);
+    expect(() => resolveOrganism('123456789')).toThrow('Unknown organism taxid');
+    expect(() => resolveOrganism('yeast')).toThrow(
+      'Ambiguous organism "yeast".  ' +
+      'Use one of: "saccharomyces cerevisiae", "schizosaccharomyces pombe".'
+    );
+  });
+
+  it('throws InvalidInputError for unknown APIs', async () => {
+
+    let genes = ['MTOR'];
+    let sourceOrg = 'homo sapiens';
+    let targetOrgs = ['mus musculus'];
+
+    const error = fetchOrthologs(genes, sourceOrg, targetOrgs, 'asdf');
+    await expect(error).rejects.toBeInstanceOf(InvalidInputError);
+    await expect(error).rejects.toMatchObject({code: 'invalidInput'});
+  });
+
 });
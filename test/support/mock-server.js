@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Local HTTP stand-in for the upstream services Homology.js uses
+ *
+ * In replay mode (the default), this server answers requests from fixture
+ * files, so tests run offline and deterministically.  In record mode, it
+ * proxies requests to the real upstream services and saves their responses
+ * as fixtures.  To re-record all fixtures, run:
+ *
+ *   npm run test:record
+ *
+ * Fixtures are grouped into "cassettes", one JSON file per test case in
+ * test/fixtures.  Each cassette is a list of recorded interactions.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import nodeFetch from 'node-fetch';
+
+import {defaultEndpoints} from '../../src/config';
+
+export const fixturesDir = path.resolve(__dirname, '../fixtures');
+
+/** Identifies a request by method, service, path and (for POST) body */
+function getKey(method, service, requestPath, body) {
+  return [method, service, requestPath, body].filter(Boolean).join(' ')
+}
+
+/** Get endpoint base URLs that route requests for each service to `base` */
+function getMockEndpoints(base) {
+  const endpoints = {}
+  Object.entries(defaultEndpoints).forEach(([service, upstream]) => {
+    const trailingSlash = upstream.endsWith('/') ? '/' : ''
+    endpoints[service] = base + '/' + service + trailingSlash
+  })
+  return endpoints
+}
+
+/** Split e.g. "/oma/protein/P42345/" into ["oma", "/protein/P42345/"] */
+function parseRequestUrl(url) {
+  const service = url.split('/')[1].split('?')[0]
+  let requestPath = url.slice(service.length + 1)
+  if (defaultEndpoints[service]?.endsWith('/')) {
+    requestPath = requestPath.slice(1)
+  }
+  return [service, requestPath]
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = ''
+    req.on('data', chunk => body += chunk)
+    req.on('end', () => resolve(body))
+    req.on('error', reject)
+  })
+}
+
+/** Store JSON bodies parsed, so fixtures are easy to read and edit */
+function serializeBody(text) {
+  try {
+    return {json: JSON.parse(text)}
+  } catch (e) {
+    return {text}
+  }
+}
+
+function deserializeBody(interaction) {
+  if ('json' in interaction) return JSON.stringify(interaction.json)
+  return interaction.text
+}
+
+/** Fetch a response from the real upstream service, for recording */
+async function recordInteraction(req, service, requestPath, body) {
+  const url = defaultEndpoints[service] + requestPath
+  const method = req.method
+  const options = {method, headers: {}}
+  if (req.headers['accept']) options.headers['Accept'] = req.headers['accept']
+  if (body) {
+    options.body = body
+    options.headers['Content-Type'] = req.headers['content-type']
+  }
+  const response = await nodeFetch(url, options)
+  const text = await response.text()
+
+  return {
+    method, service, path: requestPath, body: body || undefined,
+    status: response.status,
+    contentType: response.headers.get('content-type'),
+    ...serializeBody(text)
+  }
+}
+
+/**
+ * Start a mock server on a free local port
+ *
+ * Returns an object with the server's `endpoints` (to pass to
+ * `createHomologyClient`), `useCassette(name)` to select the fixture file
+ * for the current test, and `close()`.
+ */
+export async function startMockServer({record=false, dir=fixturesDir}={}) {
+  let cassette = null
+  let interactions = []
+  let isDirty = false
+
+  function saveCassette() {
+    if (!record || !cassette || !isDirty) return
+    const json = JSON.stringify(interactions, null, 2) + '\n'
+    fs.writeFileSync(path.join(dir, cassette + '.json'), json)
+    isDirty = false
+  }
+
+  function useCassette(name) {
+    saveCassette()
+    cassette = name
+    const file = path.join(dir, name + '.json')
+    interactions =
+      !record && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file)) : []
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const [service, requestPath] = parseRequestUrl(req.url)
+    const body = await readBody(req)
+    const key = getKey(req.method, service, requestPath, body)
+
+    let interaction = interactions.find(i => {
+      return getKey(i.method, i.service, i.path, i.body) === key
+    })
+
+    if (!interaction && record) {
+      try {
+        interaction =
+          await recordInteraction(req, service, requestPath, body)
+        interactions.push(interaction)
+        isDirty = true
+      } catch (e) {
+        res.writeHead(502, {'Content-Type': 'text/plain'})
+        res.end('Upstream request failed: ' + e.message)
+        return
+      }
+    }
+
+    if (!interaction) {
+      res.writeHead(501, {'Content-Type': 'text/plain'})
+      res.end(`No fixture in cassette "${cassette}" for: ${key}`)
+      return
+    }
+
+    res.writeHead(interaction.status, {
+      'Content-Type': interaction.contentType || 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    })
+    res.end(deserializeBody(interaction))
+  })
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  const base = 'http://127.0.0.1:' + server.address().port
+
+  return {
+    endpoints: getMockEndpoints(base),
+    useCassette,
+    close() {
+      saveCassette()
+      return new Promise(resolve => server.close(resolve))
+    }
+  }
+}
@@ -6,10 +6,29 @@ const babelJest = require('babel-jest');
 const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
 const version = packageJson.version;
 
-module.exports = {
+// Webpack hashes with MD4 by default, which Node 17+ lacks
+const hashFunction = 'xxhash64';
+
+const babelRule = {
+  test: /\.js$/,
+  exclude: /node_modules/,
+  use: {
+    loader: 'babel-loader'
+  }
+};
+
+const banner = (
+  'Homology.js, version ' + version + '.  ' +
+  'Developed by Eric Weitz.  https://github.com/eweitz/homology.  ' +
+  'Public domain (CC0 1.0).'
+);
+
+// Browser bundle
+const libraryConfig = {
   entry: './src/index.js',
   output: {
     filename: 'homology.min.js',
+    hashFunction,
     path: path.resolve(__dirname, 'dist'),
     publicPath: '/dist',
     libraryTarget: 'umd',
@@ -18,25 +37,39 @@ module.exports = {
   },
   devtool: 'source-map',
   module: {
-    rules: [
-      {
-        test: /\.js$/,
-        exclude: /node_modules/,
-        use: {
-          loader: 'babel-loader'
-        }
-      }
+    rules: [babelRule]
+  },
+  plugins: [
+    new webpack.BannerPlugin({
+      banner: banner,
+      entryOnly: true
+    })
+  ]
+};
 
-    ]
+// `homology` command, for Node
+const cliConfig = {
+  entry: './src/cli-main.js',
+  target: 'node',
+  output: {
+    filename: 'homology-cli.js',
+    hashFunction,
+    path: path.resolve(__dirname, 'dist')
+  },
+  // Node needs no minifying, and keeping names makes stack traces readable
+  optimization: {
+    minimize: false
+  },
+  module: {
+    rules: [babelRule]
   },
   plugins: [
     new webpack.BannerPlugin({
-      banner: (
-        'Homology.js, version ' + version + '.  ' +
-        'Developed by Eric Weitz.  https://github.com/eweitz/homology.  ' +
-        'Public domain (CC0 1.0).'
-      ),
+      banner: '#!/usr/bin/env node\n/*! ' + banner + ' */',
+      raw: true,
       entryOnly: true
     })
   ]
 };
+
+module.exports = [libraryConfig, cliConfig];